@@ -1,16 +1,26 @@
 /**
- * Combina los argumentos predeterminados con los actuales eliminando duplicados por clave.
+ * Devuelve los argumentos predeterminados que el usuario no escribió.
  * @param {string[]} defaultArgs - Argumentos predeterminados (con valores).
  * @param {string[]} allargs - Argumentos actuales que podrían sobrescribir los predeterminados.
- * @returns {string[]} - Lista completa de argumentos combinados.
+ * @returns {string[]} - Argumentos predeterminados sin sobrescribir.
  */
-function filterDefaultArgs(defaultArgs, allargs) {
-  // Filtrar los argumentos predeterminados que no deben estar en el resultado final
-  const filteredDefaults = defaultArgs.filter((defaultArg) => {
+function unusedDefaultArgs(defaultArgs, allargs) {
+  return defaultArgs.filter((defaultArg) => {
     const defaultKey = defaultArg.split("=")[0]; // Obtiene la clave del argumento (antes del "=")
     // Retorna solo los predeterminados que no están presentes en allargs
     return !allargs.some((arg) => arg.startsWith(defaultKey));
   });
+}
+
+/**
+ * Combina los argumentos predeterminados con los actuales eliminando duplicados por clave.
+ * @param {string[]} defaultArgs - Argumentos predeterminados (con valores).
+ * @param {string[]} allargs - Argumentos actuales que podrían sobrescribir los predeterminados.
+ * @returns {string[]} - Lista completa de argumentos combinados.
+ */
+function filterDefaultArgs(defaultArgs, allargs) {
+  // Filtrar los argumentos predeterminados que no deben estar en el resultado final
+  const filteredDefaults = unusedDefaultArgs(defaultArgs, allargs);
 
   // Combinar los predeterminados filtrados con los argumentos actuales
   return [...filteredDefaults, ...allargs];
@@ -43,6 +53,10 @@ export default [
         "crushify png --folder=imagenes/ --dest=output/ --pnglevel=5\n" +
         "# Convierte todas las imágenes en la carpeta imagenes/ al formato PNG con un nivel de compresión de 5 y las guarda en la carpeta output/.",
 
+      "Convertir y redimensionar en el mismo paso:\n" +
+        "crushify png --file=imagen.jpg --width=512 --height=512 --fit=contain\n" +
+        "# Convierte imagen.jpg a PNG ajustándola dentro de un cuadro de 512x512 píxeles.",
+
       "Convertir con selección interactiva de archivo:\n" +
         "crushify png --file=true --pnglevel=7\n" +
         "# Abre un selector de archivos para elegir la imagen a convertir y la guarda con un nivel de compresión de 7.",
@@ -59,6 +73,8 @@ export default [
       send({
         name: command,
         args: filteredDefaultArgs,
+        // Un archivo de configuración del proyecto tiene prioridad sobre estos
+        defaults: unusedDefaultArgs(defaultArgs, allargs),
         fileload: "js;convert.mjs",
         supportedFormats: ["jpg", "jpeg", "gif", "heif", "webp", "tiff", "avif"],
       });
@@ -83,6 +99,18 @@ export default [
         "crushify jpeg --folder=imagenes/ --dest=output/ --quality=70\n" +
         "# Convierte todas las imágenes en la carpeta imagenes/ al formato JPEG con un 70% de calidad y las guarda en la carpeta output/.",
 
+      "Convertir y redimensionar en el mismo paso:\n" +
+        "crushify jpeg --file=imagen.png --dest=output/ --width=1600 --fit=inside\n" +
+        "# Convierte imagen.png a JPEG con un ancho máximo de 1600 píxeles, manteniendo la proporción.",
+
+      "Ajustar la calidad automáticamente a un tamaño máximo:\n" +
+        "crushify jpeg --file=imagen.png --dest=output/ --maxsize=500\n" +
+        "# Busca la mayor calidad con la que el JPEG resultante ocupa como máximo 500 KB. Con --maxsize sin valor se usa el límite configurado (5 MB).",
+
+      "Elegir la calidad según la similitud perceptual (SSIM):\n" +
+        "crushify jpeg --file=imagen.png --dest=output/ --ssim=0.97\n" +
+        "# Codifica con calidades decrecientes y conserva el JPEG más pequeño con un SSIM de al menos 0.97.",
+
       "Convertir con selección interactiva de archivo:\n" +
         "crushify jpeg --file=true --quality=60\n" +
         "# Abre un selector de archivos, permite seleccionar la imagen y la guarda como JPEG con un 60% de calidad.",
@@ -99,6 +127,8 @@ export default [
       send({
         name: command,
         args: filteredDefaultArgs,
+        // Un archivo de configuración del proyecto tiene prioridad sobre estos
+        defaults: unusedDefaultArgs(defaultArgs, allargs),
         fileload: "js;convert.mjs",
         supportedFormats: ["png", "gif", "heif", "webp", "tiff", "avif"],
       });
@@ -123,6 +153,70 @@ export default [
         "crushify webp --folder=imagenes/ --dest=output/ --quality=75\n" +
         "# Convierte todas las imágenes en la carpeta imagenes/ al formato WebP con una calidad del 75% y las guarda en la carpeta output/.",
 
+      "Generar una copia web redimensionada:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --width=1600\n" +
+        "# Convierte las imágenes a WebP con 1600 píxeles de ancho, manteniendo la proporción.",
+
+      "Ajustar la calidad automáticamente a un tamaño máximo:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --maxsize=200\n" +
+        "# Convierte cada imagen a WebP buscando la calidad (y el esfuerzo) necesarios para no superar 200 KB.",
+
+      "Elegir la calidad según la similitud perceptual (SSIM):\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --ssim=0.98\n" +
+        "# Usa para cada imagen la menor calidad cuyo resultado mantiene un SSIM de al menos 0.98 respecto al original.",
+
+      "Convertir una carpeta y todas sus subcarpetas:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --recursive --maxdepth=3\n" +
+        "# Recorre imagenes/ hasta 3 niveles de subcarpetas y recrea la misma estructura dentro de output/.",
+
+      "Convertir un GIF animado a WebP animado:\n" +
+        "crushify webp --file=animacion.gif --dest=output/ --maxframes=60\n" +
+        "# Conserva la animación, los tiempos de cada fotograma y las repeticiones, limitando el resultado a 60 fotogramas repartidos a lo largo de la animación. Con --animated=false solo se convierte el primer fotograma.",
+
+      "Omitir en nuevas ejecuciones las imágenes que no han cambiado:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --cache\n" +
+        "# Guarda un índice .crushify-cache.json en output/ y en las siguientes ejecuciones salta los archivos cuyo contenido, opciones y salida no han cambiado.",
+
+      "Convertir automáticamente las imágenes nuevas o modificadas:\n" +
+        "crushify webp --folder=exportaciones/ --dest=output/ --watch\n" +
+        "# Vigila exportaciones/ y convierte a WebP cada imagen cuando termina de escribirse. Ctrl+C detiene la vigilancia.",
+
+      "Quitar los metadatos privados conservando solo algunos datos:\n" +
+        "crushify webp --folder=fotos/ --dest=web/ --metadata=strip --keepexif=Make,Model,DateTimeOriginal --copyright=\"© Mi Empresa\"\n" +
+        "# Elimina GPS, números de serie y demás metadatos, conserva la cámara y la fecha de captura y añade el copyright. También acepta --metadata=keep, --metadata=icc-only y --artist. --xmp conserva el XMP del original con cualquier modo y --xmp=false lo elimina manteniendo el resto.",
+
+      "Recortar miniaturas cuadradas sin cortar el motivo principal:\n" +
+        "crushify webp --folder=productos/ --dest=miniaturas/ --crop=1:1 --crop-strategy=attention --width=400\n" +
+        "# Recorta cada imagen a 1:1 alrededor de la zona más llamativa y la reduce a 400 píxeles. Acepta proporciones como 16:9 o 1.91:1, --crop-strategy=entropy o centre, un punto focal con --crop-focal=0.3,0.4 y lee el punto focal de foto.json junto a foto.jpg ({\"focal\": {\"x\": 0.3, \"y\": 0.4}}) salvo con --crop-sidecar=false.",
+
+      "Optimizar las imágenes en su sitio:\n" +
+        "crushify webp --folder=public/img/ --recursive --in-place --quality=75\n" +
+        "# Vuelve a comprimir cada WebP de public/img/ y lo reemplaza solo si el resultado es más pequeño. Cada archivo se escribe primero con un nombre temporal, se comprueba que se puede decodificar y después se renombra, así que una interrupción nunca deja una imagen a medias.",
+
+      "Conservar el original cuando la conversión no reduce el tamaño:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --if-larger=copy-original --min-saving=5\n" +
+        "# Si el WebP no ahorra al menos un 5% respecto al original, copia el original a output/ en su lugar. Con --if-larger=skip no se escribe nada y con keep-output (por defecto) se guarda la conversión igualmente.",
+
+      "Generar un informe de la conversión:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --report=informe.html\n" +
+        "# Escribe una tabla con cada archivo: rutas, formatos, dimensiones, tamaños, ahorro, duración y errores. El HTML muestra los totales y se ordena haciendo clic en las columnas; también acepta .json y .csv.",
+
+      "Generar marcadores de posición para la carga diferida:\n" +
+        "crushify webp --folder=imagenes/ --dest=web/ --placeholders=blurhash,dominantColor,preview\n" +
+        "# Calcula para cada imagen un BlurHash, el color dominante y una vista previa diminuta en base64, y los guarda en web/placeholders.json. --placeholders sin valor añade también el ThumbHash y --manifest=ruta.json cambia el archivo.",
+
+      "Añadir una marca de agua a todas las imágenes:\n" +
+        "crushify webp --folder=productos/ --dest=web/ --watermark=logo.png --watermark-gravity=southeast --watermark-opacity=0.4 --watermark-scale=0.15\n" +
+        "# Coloca logo.png en la esquina inferior derecha de cada imagen, a 16 píxeles del borde (--watermark-offset), con un 40% de opacidad y un ancho del 15% de la imagen. Un texto como --watermark=\"© Mi Empresa\" se dibuja en lugar de una imagen y --watermark-tile la repite por toda la imagen.",
+
+      "Revisar qué haría una conversión sin escribir nada:\n" +
+        "crushify webp --folder=imagenes/ --dest=output/ --recursive --dry-run --estimate\n" +
+        "# Lista cada salida prevista, los archivos existentes que se sobrescribirían, los originales que se borrarían con remove y los archivos no soportados, con el tamaño estimado de cada resultado.",
+
+      "Usar la configuración del proyecto:\n" +
+        "crushify webp --folder=src/img/ --recursive\n" +
+        "# Busca crushify.config.json, crushify.config.mjs o la clave \"crushify\" de package.json desde la carpeta actual hacia arriba y aplica sus valores y reglas por glob, por ejemplo {\"dest\": \"dist/img\", \"quality\": 70, \"rules\": {\"icons/**\": {\"format\": \"png\", \"palette\": true}, \"photos/**\": {\"format\": \"avif\", \"quality\": 55}}}. El formato del comando (WebP) solo se usa en los archivos a los que la configuración no asigna otro. Los argumentos escritos, como --quality o --format, tienen prioridad; --config=ruta usa otro archivo y --config=false la ignora.",
+
       "Convertir con selección interactiva de archivo:\n" +
         "crushify webp --file=true --quality=60\n" +
         "# Abre un selector de archivos, convierte la imagen seleccionada a WebP con calidad del 60%.",
@@ -139,6 +233,8 @@ export default [
       send({
         name: command,
         args: filteredDefaultArgs,
+        // Un archivo de configuración del proyecto tiene prioridad sobre estos
+        defaults: unusedDefaultArgs(defaultArgs, allargs),
         fileload: "js;convert.mjs",
       });
       return {
@@ -162,6 +258,14 @@ export default [
         "crushify gif --folder=imagenes/ --dest=output/ --format=gif\n" +
         "# Convierte todas las imágenes en la carpeta imagenes/ al formato GIF y las guarda en la carpeta output/.",
 
+      "Convertir y redimensionar en el mismo paso:\n" +
+        "crushify gif --file=imagen.png --width=320 --height=240 --fit=cover\n" +
+        "# Convierte imagen.png a GIF recortándola para cubrir 320x240 píxeles.",
+
+      "Convertir un WebP animado conservando la animación:\n" +
+        "crushify gif --file=animacion.webp --dest=output/ --framestep=2\n" +
+        "# Genera un GIF animado con uno de cada dos fotogramas; la duración de los descartados se suma al fotograma anterior y se mantiene el número de repeticiones.",
+
       "Convertir con selección interactiva de archivo:\n" +
         "crushify gif --file=true --format=gif\n" +
         "# Abre un selector de archivos, permite seleccionar la imagen y la guarda como GIF.",
@@ -178,6 +282,8 @@ export default [
       send({
         name: command,
         args: filteredDefaultArgs,
+        // Un archivo de configuración del proyecto tiene prioridad sobre estos
+        defaults: unusedDefaultArgs(defaultArgs, allargs),
         fileload: "js;convert.mjs",
         supportedFormats: ["png", "heif", "webp", "tiff", "avif"],
       });
@@ -187,6 +293,111 @@ export default [
       };
     },
   },
+  {
+    name: "auto",
+    prefix: "auto",
+    description:
+      "Prueba varios formatos (AVIF, WebP y JPEG por defecto) y conserva para cada imagen el resultado más pequeño. Nunca elige JPEG para imágenes con transparencia.",
+    titleUse: "Ejemplo de uso de auto",
+    use: [
+      "Elegir el mejor formato para un archivo:\n" +
+        "crushify auto --file=imagen.png --dest=output/\n" +
+        "# Codifica imagen.png en AVIF, WebP y JPEG y guarda solo el archivo más pequeño.",
+
+      "Elegir entre formatos sin pérdida para gráficos planos:\n" +
+        "crushify auto --folder=iconos/ --dest=output/ --candidates=webp,png --lossless\n" +
+        "# Para cada imagen de iconos/ conserva el WebP o PNG más pequeño.",
+
+      "Combinar con un objetivo de calidad perceptual:\n" +
+        "crushify auto --folder=fotos/ --dest=output/ --ssim=0.97\n" +
+        "# Para cada formato busca la menor calidad con SSIM de al menos 0.97 y conserva el resultado más pequeño.",
+    ],
+    handler: async function (send, [command, named, ...allargs] = args) {
+      // Opciones predeterminadas para la selección automática
+      const defaultArgs = ["--format=auto"];
+      const filteredDefaultArgs = filterDefaultArgs(defaultArgs, allargs);
+
+      send({
+        name: command,
+        args: filteredDefaultArgs,
+        // Un archivo de configuración del proyecto tiene prioridad sobre estos
+        defaults: unusedDefaultArgs(defaultArgs, allargs),
+        fileload: "js;convert.mjs",
+        supportedFormats: ["jpg", "jpeg", "png", "gif", "webp", "tiff", "avif"],
+      });
+      return {
+        message: `Processing...`,
+        type: "system",
+      };
+    },
+  },
+  {
+    name: "responsive",
+    prefix: "responsive",
+    description:
+      "Genera variantes responsivas de una imagen en varios anchos y formatos (AVIF, WebP y JPEG de respaldo), junto con un manifiesto JSON y el marcado <picture>/srcset listo para pegar.",
+    titleUse: "Ejemplo de uso de responsive",
+    use: [
+      "Generar el conjunto predeterminado para una imagen:\n" +
+        "crushify responsive --file=foto.jpg --dest=output/\n" +
+        "# Crea foto-320w, foto-640w, foto-1280w y foto-1920w en AVIF, WebP y JPEG, además de foto.responsive.json.",
+
+      "Elegir anchos, formatos y la URL base del marcado:\n" +
+        "crushify responsive --file=foto.jpg --dest=output/ --widths=480,960 --formats=webp --fallback=jpeg --baseurl=/img\n" +
+        "# Crea variantes de 480 y 960 píxeles en WebP y JPEG con rutas /img/... en el srcset.",
+
+      "Generar conjuntos para todas las imágenes de una carpeta:\n" +
+        "crushify responsive --folder=imagenes/ --dest=output/ --sizes=\"(max-width: 600px) 100vw, 50vw\"\n" +
+        "# Genera un conjunto responsivo y un manifiesto por cada imagen de la carpeta imagenes/.",
+    ],
+    handler: async function (send, [command, named, ...allargs] = args) {
+      // Opciones predeterminadas para conjuntos responsivos
+      const defaultArgs = ["--widths=320,640,1280,1920", "--formats=avif,webp"];
+      const filteredDefaultArgs = filterDefaultArgs(defaultArgs, allargs);
+
+      send({
+        name: command,
+        args: filteredDefaultArgs,
+        fileload: "js;responsive.mjs",
+        supportedFormats: ["jpg", "jpeg", "png", "webp", "tiff", "gif", "svg"],
+      });
+      return {
+        message: `Processing...`,
+        type: "system",
+      };
+    },
+  },
+  {
+    name: "serve",
+    prefix: "serve",
+    description:
+      "Inicia un servidor HTTP local que entrega versiones optimizadas de las imágenes de una carpeta, eligiendo AVIF o WebP según el navegador y guardando en caché cada variante generada.",
+    titleUse: "Ejemplo de uso de serve",
+    use: [
+      "Servir una carpeta en el puerto predeterminado:\n" +
+        "crushify serve --folder=imagenes/\n" +
+        "# Atiende en http://127.0.0.1:3000/img/. Por ejemplo /img/foto.jpg?w=640&q=75 devuelve la imagen en AVIF o WebP según la cabecera Accept.",
+
+      "Elegir puerto, tamaños permitidos y carpeta de caché:\n" +
+        "crushify serve --folder=imagenes/ --port=8080 --sizes=400,800,1600 --cache=.cache/imagenes\n" +
+        "# Solo acepta w y h de 400, 800 o 1600 píxeles y guarda las variantes generadas en .cache/imagenes.",
+
+      "Forzar un formato desde la URL:\n" +
+        "crushify serve --folder=imagenes/ --prefix=/media --fallback=png\n" +
+        "# /media/logo.svg?format=webp devuelve WebP; los clientes sin soporte de AVIF ni WebP reciben PNG.",
+    ],
+    handler: async function (send, [command, named, ...allargs] = args) {
+      send({
+        name: command,
+        args: allargs,
+        fileload: "js;serve.mjs",
+      });
+      return {
+        message: `Starting server...`,
+        type: "system",
+      };
+    },
+  },
   // {
   //   name: "bmp",
   //   prefix: "bmp",
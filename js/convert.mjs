@@ -1,6 +1,7 @@
 import { dynamicImport } from "../utils/loadModule.mjs";
 import path from "path";
 import optionsConvert from "./validate.mjs";
+import { CrushifyError } from "../utils/errors.mjs";
 
 /**
  * Main execution function for image processing
@@ -15,7 +16,7 @@ async function run(resp, args, others) {
     // Set up event handlers
     processor.on("error", (error) => {
       resp({
-        message: `Processing error: ${error.message}`,
+        message: `Processing error: ${describeError(error)}`,
         type: "error",
       });
     });
@@ -34,6 +35,30 @@ async function run(resp, args, others) {
       });
     };
 
+    // Watch mode keeps converting until interrupted
+    if (opt.watch) {
+      if (opt.folder === false) {
+        resp({
+          message: "Watch mode requires --folder",
+          type: "error",
+        });
+        return;
+      }
+      startWatching(processor, opt, resp);
+      return;
+    }
+
+    // Ctrl+C cancels cleanly: running files finish or are removed, nothing new starts
+    const controller = new AbortController();
+    const cancel = () => {
+      controller.abort();
+      resp({
+        message: "Cancelling... waiting for conversions in progress",
+        type: "system",
+      });
+    };
+    process.once("SIGINT", cancel);
+
     // Process based on input type
     try {
       let result;
@@ -43,67 +68,197 @@ async function run(resp, args, others) {
         result = await processor.processFolder(
           {
             folder: opt.folder,
-            dest: opt.dest,
+            dest: opt.dest || undefined,
             format: opt.format,
             processingOptions: opt.processingOptions,
+            config: opt.config,
+            recursive: opt.recursive,
+            maxDepth: opt.maxDepth,
+            concurrency: opt.concurrency,
+            dryRun: opt.dryRun,
+            estimate: opt.estimate,
+            manifest: opt.manifest,
+            report: opt.report,
+            signal: controller.signal,
+            inPlace: opt.inPlace,
           },
           progressCallback
         );
 
+        if (opt.dryRun) {
+          resp({
+            message: planSummary(result),
+            type: "success",
+          });
+          return;
+        }
+
         // Generate summary
         const stats = processor.getStats();
-        const summary = `Processing complete:
+        const heading = result.aborted
+          ? `Processing cancelled after ${result.length} files:`
+          : "Processing complete:";
+        const summary = `${heading}
           - Files processed: ${stats.processed}
+          - Files improved: ${stats.improved}
           - Files skipped: ${stats.skipped}
           - Failed: ${stats.failed}
           - Total time: ${stats.processingTime}s
           - Average saving: ${stats.averageSaving}
         `;
+        const manifest =
+          opt.processingOptions.placeholders && opt.manifest !== false
+            ? `\n          Placeholders: ${
+                opt.manifest ||
+                path.join(
+                  opt.inPlace ? opt.folder : opt.dest || opt.config.dest,
+                  "placeholders.json"
+                )
+              }`
+            : "";
+
+        const report = opt.report
+          ? `\n          Report: ${path.resolve(opt.report)}`
+          : "";
 
         resp({
-          message: summary,
-          type: "success",
+          message: summary + manifest + report,
+          type: result.aborted ? "error" : "success",
         });
       } else {
-        // Single file processing
-        const getFormat = processor.getFormt(opt.format);
-        const output = path.join(
-          opt.dest,
-          `${path.basename(opt.file, path.extname(opt.file))}${
-            getFormat.extension
-          }`
-        );
-
+        // Single file processing; without --dest the configuration's is used
         result = await processor.processFile({
           input: opt.file,
-          output,
+          dest: opt.dest || undefined,
           format: opt.format,
           processingOptions: opt.processingOptions,
+          config: opt.config,
+          dryRun: opt.dryRun,
+          estimate: opt.estimate,
+          signal: controller.signal,
+          inPlace: opt.inPlace,
         });
 
+        const placeholders = result.stats?.placeholders
+          ? `\n${JSON.stringify(result.stats.placeholders, null, 2)}`
+          : "";
+
         resp({
-          message: result.message,
+          message: result.message + placeholders,
           type: result.success ? "success" : "error",
         });
       }
     } catch (error) {
       resp({
-        message: `Processing failed: ${error.message}`,
+        message: controller.signal.aborted
+          ? "Processing cancelled"
+          : `Processing failed: ${describeError(error)}`,
         type: "error",
       });
     } finally {
       // Clean up
+      process.off("SIGINT", cancel);
       processor.clearCache();
       processor.resetStats();
     }
   } catch (error) {
     resp({
-      message: `System error: ${error.message}`,
+      // Option and selection errors are the user's to fix, not system errors
+      message:
+        error instanceof CrushifyError
+          ? describeError(error)
+          : `System error: ${error.message}`,
       type: "error",
     });
   }
 }
 
+/**
+ * Formats an error for the console, naming the code of crushify errors
+ * @param {Error} error - Error to describe
+ * @returns {string}
+ */
+function describeError(error) {
+  return error instanceof CrushifyError
+    ? `${error.message} (${error.code})`
+    : error.message;
+}
+
+/**
+ * Summarizes the operations planned by a dry run
+ * @param {Object[]} results - Dry-run results from processFolder
+ * @returns {string} Summary message
+ */
+function planSummary(results) {
+  const plans = results.filter((result) => result.plan).map((result) => result.plan);
+  const converted = plans.filter((plan) => plan.action === "convert");
+  const estimated = converted.filter((plan) => plan.estimatedSize !== undefined);
+
+  let summary = `Dry run complete (nothing was written):
+          - Files to convert: ${converted.length}
+          - Existing files overwritten: ${converted.filter((plan) => plan.overwrite).length}
+          - Originals deleted: ${converted.filter((plan) => plan.removeInput).length}
+          - Skipped (unsupported): ${plans.filter((plan) => plan.reason === "unsupported").length}
+          - Skipped (unchanged): ${plans.filter((plan) => plan.reason === "unchanged").length}
+          - Failed: ${results.filter((result) => !result.success).length}`;
+
+  if (estimated.length) {
+    const inputSize = estimated.reduce((sum, plan) => sum + plan.inputSize, 0);
+    const outputSize = estimated.reduce((sum, plan) => sum + plan.estimatedSize, 0);
+    summary += `
+          - Estimated size: ${(inputSize / 1024).toFixed(2)}KB → ${(outputSize / 1024).toFixed(2)}KB`;
+  }
+
+  return summary;
+}
+
+/**
+ * Watches the selected folder and reports each conversion
+ * @param {Object} processor - ImageProcessor instance
+ * @param {Object} opt - Validated options
+ * @param {Function} resp - Response callback
+ */
+function startWatching(processor, opt, resp) {
+  processor.on("watch:processed", ({ file, result }) => {
+    resp({
+      message: `${file}\n${result.message}`,
+      type: "progress",
+    });
+  });
+
+  // Per-file failures are already reported through the "error" event
+  processor.on("watch:error", ({ file, error }) => {
+    if (file !== null) return;
+    resp({
+      message: `Watch error: ${error.message}`,
+      type: "error",
+    });
+  });
+
+  const watcher = processor.watchFolder({
+    folder: opt.folder,
+    dest: opt.dest || opt.config?.dest,
+    // Watching converts to one format; the configuration's rules still set the options
+    format: opt.format ?? opt.config?.format,
+    processingOptions: opt.processingOptions,
+    config: opt.config,
+    recursive: opt.recursive,
+  });
+
+  process.once("SIGINT", () => {
+    watcher.close();
+    resp({
+      message: "Watch stopped",
+      type: "success",
+    });
+  });
+
+  resp({
+    message: `Watching ${opt.folder} for new or modified images (Ctrl+C to stop)`,
+    type: "system",
+  });
+}
+
 /**
  * Helper function to validate supported formats
  * @param {string} format - Format to validate
@@ -0,0 +1,88 @@
+import { dynamicImport } from "../utils/loadModule.mjs";
+import path from "path";
+import optionsConvert from "./validate.mjs";
+import { createConfig, configFor } from "../utils/config.mjs";
+
+/**
+ * Generates responsive image sets for a file or every image in a folder
+ * @param {Function} resp - Response callback
+ * @param {Object} args - Input arguments
+ */
+async function run(resp, args, others) {
+  try {
+    // Import ImageProcessor dynamically
+    const processor = await dynamicImport("../main.mjs", "default");
+
+    // Get and validate options
+    const opt = await optionsConvert(resp, args, others);
+
+    if (!opt) return;
+
+    // Options of the project configuration rules matching each input; flags still win
+    const project = opt.config ? createConfig(opt.config) : null;
+
+    try {
+      const dest = opt.dest || project?.dest;
+      // Relative to the folder, so sets of nested images mirror their subfolders
+      const files =
+        opt.folder !== false
+          ? await processor.listImages({
+              folder: opt.folder,
+              extensions: others.supportedFormats,
+              recursive: opt.recursive,
+              maxDepth: opt.maxDepth,
+              exclude: dest,
+            })
+          : [path.basename(opt.file)];
+
+      for (const file of files) {
+        const input =
+          opt.folder !== false ? path.join(opt.folder, file) : opt.file;
+        const subfolder = path.dirname(file);
+        const manifest = await processor.generateResponsiveSet({
+          input,
+          dest: path.join(dest, subfolder),
+          widths: opt.widths,
+          formats: opt.formats,
+          fallback: opt.fallback,
+          sizes: opt.sizes,
+          baseUrl:
+            opt.baseUrl && subfolder !== "."
+              ? `${opt.baseUrl.replace(/\/?$/, "/")}${subfolder.split(path.sep).join("/")}`
+              : opt.baseUrl,
+          processingOptions: project
+            ? {
+                ...configFor(project, input).processingOptions,
+                ...opt.processingOptions,
+              }
+            : opt.processingOptions,
+        });
+
+        resp({
+          message: `${path.basename(input)}: ${
+            manifest.variants.length
+          } variants written, manifest at ${manifest.manifestPath}\n${
+            manifest.markup
+          }`,
+          type: "success",
+        });
+      }
+    } catch (error) {
+      resp({
+        message: `Processing failed: ${error.message}`,
+        type: "error",
+      });
+    } finally {
+      // Clean up
+      processor.clearCache();
+      processor.resetStats();
+    }
+  } catch (error) {
+    resp({
+      message: `System error: ${error.message}`,
+      type: "error",
+    });
+  }
+}
+
+export default { run };
@@ -0,0 +1,106 @@
+import { createServer } from "../utils/server.mjs";
+import path from "path";
+
+/**
+ * Starts the image optimization server until interrupted
+ * @param {Function} resp - Response callback
+ * @param {Object} args - Input arguments
+ */
+async function run(resp, args = {}, others) {
+  try {
+    const opt = {
+      folder: true,
+      port: 3000,
+      host: "127.0.0.1",
+    };
+
+    for (const index of Object.keys(args)) {
+      if (!args[index] || !args[index].value) continue;
+      const value = args[index].value;
+
+      switch (index.toLowerCase()) {
+        case "folder":
+          opt.folder = value;
+          break;
+        case "port":
+          opt.port = parseInt(value, 10) || opt.port;
+          break;
+        case "host":
+          opt.host = String(value);
+          break;
+        case "prefix":
+          opt.prefix = String(value);
+          break;
+        case "sizes":
+          opt.sizes = String(value)
+            .split(",")
+            .map((size) => parseInt(size, 10))
+            .filter((size) => size > 0);
+          break;
+        case "fallback":
+          opt.fallback = String(value).toLowerCase();
+          break;
+        case "quality":
+          opt.quality = Math.min(Math.max(parseInt(value, 10) || 80, 1), 100);
+          break;
+        case "cache":
+          if (value !== true) opt.cacheDir = String(value);
+          break;
+      }
+    }
+
+    if (opt.folder === true) {
+      const selectedFolder = await FILE_SELECT.selectDirectory({
+        title: "Select Images Folder",
+        defaultPath: FILE_SELECT.getFolder("pictures"),
+        buttonLabel: "Select",
+      });
+
+      if (selectedFolder === null) {
+        throw new Error("Process interrupted: Folder selection cancelled.");
+      }
+      opt.folder = selectedFolder;
+    }
+
+    const server = createServer({
+      root: opt.folder,
+      prefix: opt.prefix,
+      sizes: opt.sizes,
+      fallback: opt.fallback,
+      quality: opt.quality,
+      cacheDir: opt.cacheDir,
+    });
+
+    server.on("error", (error) => {
+      resp({
+        message: `Server error: ${error.message}`,
+        type: "error",
+      });
+    });
+
+    server.listen(opt.port, opt.host, () => {
+      const { port } = server.address();
+      resp({
+        message: `Serving ${path.resolve(opt.folder)} at http://${opt.host}:${port}${
+          opt.prefix || "/img"
+        }/ (Ctrl+C to stop)`,
+        type: "system",
+      });
+    });
+
+    process.once("SIGINT", () => {
+      server.close();
+      resp({
+        message: "Server stopped",
+        type: "success",
+      });
+    });
+  } catch (error) {
+    resp({
+      message: `System error: ${error.message}`,
+      type: "error",
+    });
+  }
+}
+
+export default { run };
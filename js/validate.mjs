@@ -1,3 +1,20 @@
+import { CONFIG_COMMANDS } from "../cli.mjs";
+import path from "path";
+import {
+  CrushifyError,
+  InvalidOptionError,
+  UnsupportedFormatError,
+} from "../utils/errors.mjs";
+import { findConfig, loadConfig } from "../utils/config.mjs";
+import { REPORT_FORMATS } from "../utils/report.mjs";
+import { PLACEHOLDER_KINDS } from "../utils/placeholders.mjs";
+import {
+  METADATA_MODES,
+  CROP_STRATEGIES,
+  WATERMARK_GRAVITIES,
+  IF_LARGER_MODES,
+} from "../utils/options.mjs";
+
 /**
  * Processes and validates image conversion options with improved error handling and type validation
  * @param {Function} resp - Response callback function
@@ -5,8 +22,10 @@
  * @param {Object} [args.file] - File selection options
  * @param {Object} [args.folder] - Folder selection options
  * @param {Object} [args.dest] - Destination selection options
+ * @param {Object} [others] - Command settings
+ * @param {string[]} [others.defaults] - Default flags the command added, which a project configuration overrides
  * @returns {Promise<Object>} Processed options object
- * @throws {Error} If validation fails or process is interrupted
+ * @throws {CrushifyError} If validation fails or process is interrupted (code ERR_CANCELLED)
  */
 async function optionsConvert(resp, args = {}, others) {
   // Constants for configuration
@@ -15,9 +34,23 @@ async function optionsConvert(resp, args = {}, others) {
     MAX_QUALITY: 100,
     MAX_COMPRESSION: 10,
     SUPPORTED_FORMATS: ["png", "jpg", "jpeg", "webp", "avif", "tiff", "gif"],
+    FIT_MODES: ["cover", "contain", "fill", "inside", "outside"],
+    METADATA_MODES,
+    REPORT_FORMATS,
+    IF_LARGER_MODES,
+    PLACEHOLDER_KINDS,
+    CROP_STRATEGIES,
+    WATERMARK_GRAVITIES,
     DEFAULT_FORMAT: "png",
     DEFAULT_QUALITY: 80,
     DEFAULT_EFFORT: 4,
+    // Flags a project configuration overrides unless typed, and the option each sets
+    CONFIGURABLE_FLAGS: {
+      format: "format",
+      quality: "quality",
+      level: "effort",
+      pnglevel: "compressionLevel",
+    },
   };
 
   // Initialize parser with default values
@@ -26,6 +59,7 @@ async function optionsConvert(resp, args = {}, others) {
     folder: false,
     dest: false,
     format: CONFIG.DEFAULT_FORMAT,
+    recursive: false,
     processingOptions: {
       quality: CONFIG.DEFAULT_QUALITY,
       effort: CONFIG.DEFAULT_EFFORT,
@@ -57,13 +91,308 @@ async function optionsConvert(resp, args = {}, others) {
             CONFIG.MAX_COMPRESSION
           );
           break;
+        case "width":
+        case "height":
+          parser.processingOptions[index.toLowerCase()] = Math.max(
+            parseInt(args[index].value, 10) || 0,
+            1
+          );
+          break;
+        case "fit":
+          const fit = String(args[index].value).toLowerCase();
+          if (!CONFIG.FIT_MODES.includes(fit)) {
+            throw new InvalidOptionError(
+              `--fit must be one of: ${CONFIG.FIT_MODES.join(", ")}`
+            );
+          }
+          parser.processingOptions.fit = fit;
+          break;
+        case "widths":
+          parser.widths = String(args[index].value)
+            .split(",")
+            .map((width) => parseInt(width, 10))
+            .filter((width) => width > 0);
+          break;
+        case "formats":
+          parser.formats = String(args[index].value)
+            .toLowerCase()
+            .split(",")
+            .map((format) => format.trim())
+            .filter((format) => CONFIG.SUPPORTED_FORMATS.includes(format));
+          break;
+        case "lossless":
+          parser.processingOptions.lossless = args[index].value !== "false";
+          break;
+        case "candidates":
+          parser.processingOptions.candidates = String(args[index].value)
+            .toLowerCase()
+            .split(",")
+            .map((format) => format.trim())
+            .filter((format) => CONFIG.SUPPORTED_FORMATS.includes(format))
+            .map((format) => (format === "jpg" ? "jpeg" : format));
+          break;
+        case "fallback":
+          parser.fallback = String(args[index].value).toLowerCase();
+          break;
+        case "baseurl":
+          parser.baseUrl = String(args[index].value);
+          break;
+        case "maxsize":
+          // --maxsize alone uses the configured upload limit (KB)
+          const maxSize =
+            args[index].value === true
+              ? CONFIG_COMMANDS.maxSize
+              : parseFloat(args[index].value);
+          if (maxSize > 0) {
+            parser.processingOptions.targetSize = Math.floor(maxSize * 1024);
+          }
+          break;
+        case "ssim":
+          // Accepts 0.95 or 95
+          const targetSSIM = parseFloat(args[index].value);
+          if (targetSSIM > 0) {
+            parser.processingOptions.targetSSIM = Math.min(
+              targetSSIM > 1 ? targetSSIM / 100 : targetSSIM,
+              1
+            );
+          }
+          break;
+        case "cache":
+          parser.processingOptions.persistentCache =
+            args[index].value === true ? true : String(args[index].value);
+          break;
+        case "metadata":
+          const mode = String(args[index].value).toLowerCase();
+          // A misspelled mode must not fall back to keeping everything
+          if (!CONFIG.METADATA_MODES.includes(mode)) {
+            throw new InvalidOptionError(
+              `--metadata must be one of: ${CONFIG.METADATA_MODES.join(", ")}`
+            );
+          }
+          parser.processingOptions.metadata = {
+            ...parser.processingOptions.metadata,
+            mode,
+          };
+          break;
+        case "keepexif":
+          parser.processingOptions.metadata = {
+            ...parser.processingOptions.metadata,
+            keep: String(args[index].value)
+              .split(",")
+              .map((tag) => tag.trim())
+              .filter(Boolean),
+          };
+          break;
+        case "xmp":
+          // --xmp keeps the input's XMP with any mode, --xmp=false drops it
+          parser.processingOptions.metadata = {
+            ...parser.processingOptions.metadata,
+            xmp: args[index].value !== "false",
+          };
+          break;
+        case "copyright":
+        case "artist":
+          parser.processingOptions.metadata = {
+            ...parser.processingOptions.metadata,
+            [index.toLowerCase()]: String(args[index].value),
+          };
+          break;
+        case "animated":
+          parser.processingOptions.animated = args[index].value !== "false";
+          break;
+        case "maxframes":
+          parser.processingOptions.maxFrames = Math.max(
+            parseInt(args[index].value, 10) || 0,
+            1
+          );
+          break;
+        case "framestep":
+          parser.processingOptions.frameStep = Math.max(
+            parseInt(args[index].value, 10) || 1,
+            1
+          );
+          break;
+        case "watermark":
+          // An image path or a text, told apart once every flag is read
+          parser.processingOptions.watermark = {
+            ...parser.processingOptions.watermark,
+            source: String(args[index].value),
+          };
+          break;
+        case "watermark-gravity":
+          const gravity = String(args[index].value).toLowerCase();
+          if (!CONFIG.WATERMARK_GRAVITIES.includes(gravity)) {
+            throw new InvalidOptionError(
+              `--watermark-gravity must be one of: ${CONFIG.WATERMARK_GRAVITIES.join(", ")}`
+            );
+          }
+          parser.processingOptions.watermark = {
+            ...parser.processingOptions.watermark,
+            gravity,
+          };
+          break;
+        case "watermark-opacity":
+        case "watermark-scale":
+          // Accepts 0.4 or 40
+          const amount = parseFloat(args[index].value);
+          if (amount > 0) {
+            parser.processingOptions.watermark = {
+              ...parser.processingOptions.watermark,
+              [index.toLowerCase().slice("watermark-".length)]: Math.min(
+                amount > 1 ? amount / 100 : amount,
+                1
+              ),
+            };
+          }
+          break;
+        case "watermark-offset":
+          parser.processingOptions.watermark = {
+            ...parser.processingOptions.watermark,
+            offset: Math.max(parseInt(args[index].value, 10) || 0, 0),
+          };
+          break;
+        case "watermark-tile":
+          parser.processingOptions.watermark = {
+            ...parser.processingOptions.watermark,
+            tile: args[index].value !== "false",
+          };
+          break;
+        case "crop":
+          parser.processingOptions.crop = {
+            ...parser.processingOptions.crop,
+            aspect: String(args[index].value),
+          };
+          break;
+        case "crop-strategy":
+          const strategy = String(args[index].value).toLowerCase();
+          if (!CONFIG.CROP_STRATEGIES.includes(strategy)) {
+            throw new InvalidOptionError(
+              `--crop-strategy must be one of: ${CONFIG.CROP_STRATEGIES.join(", ")}`
+            );
+          }
+          parser.processingOptions.crop = {
+            ...parser.processingOptions.crop,
+            strategy,
+          };
+          break;
+        case "crop-focal":
+          // x,y as fractions (0.3,0.4) or percentages (30,40)
+          const focal = String(args[index].value)
+            .split(",")
+            .map((part) => (/^\s*\d+(\.\d+)?\s*$/.test(part) ? Number(part) : NaN))
+            .map((part) => (part > 1 ? part / 100 : part));
+          const [x, y] = focal;
+          if (!(focal.length === 2 && x <= 1 && y <= 1)) {
+            throw new InvalidOptionError(
+              "--crop-focal must be x,y as fractions (0.3,0.4) or percentages (30,40)"
+            );
+          }
+          parser.processingOptions.crop = {
+            ...parser.processingOptions.crop,
+            focal: { x, y },
+          };
+          break;
+        case "crop-sidecar":
+          const sidecar = args[index].value;
+          parser.processingOptions.crop = {
+            ...parser.processingOptions.crop,
+            sidecar:
+              sidecar === true || sidecar === "true"
+                ? true
+                : sidecar === "false"
+                ? false
+                : String(sidecar),
+          };
+          break;
+        case "if-larger":
+          const ifLarger = String(args[index].value).toLowerCase();
+          if (!CONFIG.IF_LARGER_MODES.includes(ifLarger)) {
+            throw new InvalidOptionError(
+              `--if-larger must be one of: ${CONFIG.IF_LARGER_MODES.join(", ")}`
+            );
+          }
+          parser.processingOptions.ifLarger = ifLarger;
+          break;
+        case "min-saving":
+          const minSaving = /^\d+(\.\d+)?$/.test(String(args[index].value))
+            ? Number(args[index].value)
+            : NaN;
+          if (!(minSaving < 100)) {
+            throw new InvalidOptionError(
+              "--min-saving must be a percentage from 0 to below 100"
+            );
+          }
+          parser.processingOptions.minSaving = minSaving;
+          break;
+        case "placeholders":
+          // --placeholders alone computes every kind
+          parser.processingOptions.placeholders =
+            args[index].value === true || args[index].value === "true"
+              ? true
+              : String(args[index].value)
+                  .split(",")
+                  .map((kind) =>
+                    CONFIG.PLACEHOLDER_KINDS.find(
+                      (known) => known.toLowerCase() === kind.trim().toLowerCase()
+                    )
+                  )
+                  .filter(Boolean);
+          break;
+        case "manifest":
+          if (args[index].value !== true) {
+            parser.manifest =
+              args[index].value === "false" ? false : String(args[index].value);
+          }
+          break;
+        case "report":
+          const report = String(args[index].value);
+          if (!CONFIG.REPORT_FORMATS.includes(path.extname(report).slice(1).toLowerCase())) {
+            throw new InvalidOptionError("--report must end in .json, .csv or .html");
+          }
+          parser.report = report;
+          break;
+        case "dry-run":
+        case "dryrun":
+          parser.dryRun = args[index].value !== "false";
+          break;
+        case "estimate":
+          parser.estimate = args[index].value !== "false";
+          break;
+        case "watch":
+          parser.watch = args[index].value !== "false";
+          break;
+        case "recursive":
+          parser.recursive = args[index].value !== "false";
+          break;
+        case "in-place":
+        case "inplace":
+          parser.inPlace = args[index].value !== "false";
+          break;
+        case "config":
+          // --config alone looks the configuration up, like no flag at all
+          if (args[index].value !== true) {
+            parser.config =
+              args[index].value === "false" ? false : String(args[index].value);
+          }
+          break;
+        case "maxdepth":
+          parser.maxDepth = Math.max(parseInt(args[index].value, 10) || 0, 0);
+          break;
+        case "concurrency":
+          parser.concurrency = Math.max(parseInt(args[index].value, 10) || 1, 1);
+          break;
         case "format":
           const format = args[index].value.toLowerCase();
           if (
             others.supportedFormats ||
+            format === "auto" ||
             CONFIG.SUPPORTED_FORMATS.includes(format)
           ) {
             parser.format = format;
+          } else {
+            throw new UnsupportedFormatError(
+              `Unsupported format: ${format}. Use ${CONFIG.SUPPORTED_FORMATS.join(", ")} or auto`
+            );
           }
           break;
         default:
@@ -71,6 +400,61 @@ async function optionsConvert(resp, args = {}, others) {
       }
     }
 
+    // --watermark-* flags only apply together with --watermark
+    if (parser.processingOptions.watermark) {
+      const { source, ...watermark } = parser.processingOptions.watermark;
+      if (source) {
+        const extension = path.extname(source).slice(1).toLowerCase();
+        const isImage = [...CONFIG.SUPPORTED_FORMATS, "svg"].includes(extension);
+        parser.processingOptions.watermark = {
+          ...watermark,
+          [isImage ? "image" : "text"]: source,
+        };
+      } else {
+        delete parser.processingOptions.watermark;
+      }
+    }
+
+    // --crop-* flags only apply together with --crop
+    if (parser.processingOptions.crop && !parser.processingOptions.crop.aspect) {
+      delete parser.processingOptions.crop;
+    }
+
+    // Project configuration: typed flags win over it, defaults only fill in what it leaves unset
+    if (parser.config !== false) {
+      const project = parser.config
+        ? await loadConfig(parser.config)
+        : await findConfig();
+
+      if (project) {
+        const defaulted = (others.defaults || []).map((arg) =>
+          arg.replace(/^-+/, "").split("=")[0].toLowerCase()
+        );
+        const typed = (flag) =>
+          !defaulted.includes(flag) &&
+          Object.keys(args).some(
+            (index) => index.toLowerCase() === flag && args[index]?.value
+          );
+
+        const fallback = {};
+        for (const [flag, option] of Object.entries(CONFIG.CONFIGURABLE_FLAGS)) {
+          if (typed(flag)) continue;
+          const target = option === "format" ? parser : parser.processingOptions;
+          if (target[option] !== undefined) fallback[option] = target[option];
+          delete target[option];
+        }
+
+        parser.config = {
+          ...fallback,
+          ...project.defaults,
+          root: project.root,
+          dest: project.dest,
+        };
+      } else {
+        delete parser.config;
+      }
+    }
+
     // Validate file/folder selection based on original logic
     if (
       (parser.file === true &&
@@ -100,7 +484,7 @@ async function optionsConvert(resp, args = {}, others) {
         });
 
         if (selectedFile === null) {
-          throw new Error("Process interrupted: File selection cancelled.");
+          throw selectionCancelled("File");
         }
         parser.file = selectedFile;
       }
@@ -114,7 +498,7 @@ async function optionsConvert(resp, args = {}, others) {
         });
 
         if (selectedFolder === null) {
-          throw new Error("Process interrupted: Folder selection cancelled.");
+          throw selectionCancelled("Folder");
         }
         parser.folder = selectedFolder;
       }
@@ -132,17 +516,21 @@ async function optionsConvert(resp, args = {}, others) {
       });
 
       if (selectedFile === null) {
-        throw new Error("Process interrupted: File selection cancelled.");
+        throw selectionCancelled("File");
       }
       parser.file = selectedFile;
     } else {
-      throw new Error(
+      throw new InvalidOptionError(
         "Only one argument (--file or --folder) can be used, not both at the same time."
       );
     }
 
-    // Handle destination selection
-    if (parser.dest === false || parser.dest === true) {
+    // Handle destination selection (in place, outputs replace the inputs)
+    if (
+      !parser.inPlace &&
+      !(parser.dest === false && parser.config?.dest) &&
+      (parser.dest === false || parser.dest === true)
+    ) {
       const selectedDest = await FILE_SELECT.selectDirectory({
         title: "Select Destination",
         defaultPath: FILE_SELECT.getFolder("home"),
@@ -150,17 +538,28 @@ async function optionsConvert(resp, args = {}, others) {
       });
 
       if (selectedDest === null) {
-        throw new Error(
-          "Process interrupted: Destination selection cancelled."
-        );
+        throw selectionCancelled("Destination");
       }
       parser.dest = selectedDest;
     }
 
     return parser;
   } catch (error) {
-    throw new Error(error.message);
+    throw error instanceof CrushifyError
+      ? error
+      : new InvalidOptionError(error.message, { cause: error });
   }
 }
 
+/**
+ * @param {string} selection - What the user was asked to select
+ * @returns {CrushifyError}
+ */
+function selectionCancelled(selection) {
+  return new CrushifyError(
+    `Process interrupted: ${selection} selection cancelled.`,
+    { code: "ERR_CANCELLED" }
+  );
+}
+
 export default optionsConvert;
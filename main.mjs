@@ -1,7 +1,31 @@
 import sharp from "sharp";
 import fs from "fs/promises";
+import { watch as watchFs } from "fs";
+import { Transform } from "stream";
 import path from "path";
+import os from "os";
 import EventEmitter from "events";
+import { ssim } from "./utils/ssim.mjs";
+import { ContentCache } from "./utils/contentCache.mjs";
+import { parseExif, exifTagNames } from "./utils/exif.mjs";
+import { placeholdersFromPixels } from "./utils/placeholders.mjs";
+import { writeReport } from "./utils/report.mjs";
+import { findConfig, loadConfig, createConfig, configFor } from "./utils/config.mjs";
+import {
+  METADATA_MODES,
+  CROP_STRATEGIES,
+  WATERMARK_GRAVITIES,
+  IF_LARGER_MODES,
+} from "./utils/options.mjs";
+import {
+  CrushifyError,
+  UnsupportedFormatError,
+  InvalidInputError,
+  InvalidOptionError,
+  DecodeError,
+  EncodeError,
+  OutputWriteError,
+} from "./utils/errors.mjs";
 
 /**
  * @typedef {Object} ProcessingOptions
@@ -11,18 +35,121 @@ import EventEmitter from "events";
  * @property {boolean} [progressive] - Enable progressive loading
  * @property {string} [chromaSubsampling] - Chroma subsampling ratio
  * @property {boolean} [mozjpeg] - Use mozjpeg encoder
- * @property {boolean} [remove] - Remove original file after processing
+ * @property {boolean} [remove] - Remove original file after processing, only when the output is improved
+ * @property {number} [width] - Target width in pixels
+ * @property {number} [height] - Target height in pixels
+ * @property {string} [fit] - How the image fits both dimensions (cover, contain, fill, inside, outside)
+ * @property {string} [position] - Crop position or gravity when fit is cover or contain
+ * @property {boolean} [withoutEnlargement] - Never upscale smaller images
+ * @property {number} [maxPixels] - Cap on the output pixel count (width × height)
+ * @property {number} [targetSize] - Byte budget; quality (and effort) are searched until the output fits
+ * @property {number} [targetSSIM] - Minimum perceptual similarity (0-1); the lowest quality reaching it is used
+ * @property {string[]} [candidates] - Formats tried when format is "auto"
+ * @property {boolean|string} [persistentCache] - Skip unchanged inputs across runs using an on-disk index (true or index path)
+ * @property {string|MetadataOptions} [metadata] - Metadata handling: "keep" (default), "strip", "icc-only" or an object
+ * @property {boolean} [animated] - Keep every frame of animated inputs when the output format supports animation (default true)
+ * @property {number} [maxFrames] - Cap on output frames; frames are dropped evenly across the animation
+ * @property {number} [frameStep] - Keep only every Nth frame of animated inputs
+ * @property {string|Buffer|WatermarkOptions} [watermark] - Overlay composited after resizing: an image path or Buffer, a text string, or an object
+ * @property {string|number|CropOptions} [crop] - Crop to an aspect ratio before resizing ("16:9", 1.91 or an object)
+ * @property {boolean|string[]|PlaceholderOptions} [placeholders] - Compute lazy-loading placeholders from the processed pixels (true for all)
+ * @property {string} [ifLarger] - When the output does not save minSaving: "keep-output" (default) writes it anyway, "copy-original" copies the input instead, "skip" writes nothing
+ * @property {number} [minSaving] - Percentage of the input size the output must save to count as improved (default 0)
+ */
+
+/**
+ * @typedef {Object} PlaceholderOptions
+ * @property {string[]} [kinds] - Any of "blurhash", "thumbhash", "dominantColor", "preview" (default all)
+ * @property {number[]} [components] - BlurHash components along x and y (default [4, 3])
+ * @property {number} [previewSize] - Longest side of the inline preview in pixels (default 16)
+ */
+
+/**
+ * @typedef {Object} CropOptions
+ * @property {string|number} aspect - Width:height ratio, e.g. "1:1", "16:9", "1.91:1" or 1.91
+ * @property {string} [strategy] - How the subject is found: "attention" (default), "entropy" or "centre"
+ * @property {{x: number, y: number}} [focal] - Point kept as close to the centre as possible, as fractions (0-1) of width and height
+ * @property {boolean|string} [sidecar] - Read the focal point from a JSON file next to the input (default true, or a path)
+ */
+
+/**
+ * @typedef {Object} WatermarkOptions
+ * @property {string|Buffer} [image] - Overlay image path or data (PNG, SVG, ...)
+ * @property {string} [text] - Text rendered as the overlay when no image is given
+ * @property {string} [gravity] - Placement: north, northeast, east, southeast (default), south, southwest, west, northwest or centre
+ * @property {number|{x: number, y: number}} [offset] - Distance in pixels from the edges the overlay sits against, or the gap between tiles (default 16)
+ * @property {number} [opacity] - Overlay opacity (0-1, default 0.5)
+ * @property {number} [scale] - Overlay width relative to the output width (0-1, default 0.2)
+ * @property {boolean} [tile] - Repeat the overlay across the whole image
+ * @property {string} [font] - Font family for text (default "sans-serif")
+ * @property {string} [color] - Text colour (default "#ffffff")
+ */
+
+/**
+ * @typedef {Object} MetadataOptions
+ * @property {string} [mode] - "keep", "strip" or "icc-only" (defaults to "strip" when keep is set, otherwise "keep")
+ * @property {string[]} [keep] - EXIF text tags copied from the input when stripping (e.g. ["Make", "Model", "DateTimeOriginal"])
+ * @property {boolean} [xmp] - Keep (true) or drop (false) the input's XMP packet regardless of mode
+ * @property {string} [copyright] - Written to the EXIF Copyright tag
+ * @property {string} [artist] - Written to the EXIF Artist tag
  */
 
 /**
  * @typedef {Object} ProcessingResult
  * @property {boolean} success - Whether the operation was successful
- * @property {string} message - Status message
+ * @property {string} [inputPath] - Input file path
+ * @property {string} [outputPath] - Written file path, with the extension actually produced
+ * @property {string} [inputFormat] - Input format (jpeg, png, webp, avif, tiff, gif, svg)
+ * @property {string} [outputFormat] - Output format
+ * @property {number} [width] - Output width in pixels
+ * @property {number} [height] - Output height in pixels (per frame for animations)
+ * @property {number} [inputSize] - Input size in bytes
+ * @property {number} [outputSize] - Output size in bytes
+ * @property {number} [savedSize] - Bytes saved (negative when the output is larger)
+ * @property {number} [savingPercent] - Share of the input saved, in percent (negative when the output is larger)
+ * @property {number} [durationMs] - Time spent on the file in milliseconds
+ * @property {Object} [encoderOptions] - Options the output was encoded with, including searched quality and effort
+ * @property {string} [status] - "improved", "unimproved" (written without saving minSaving), "original" (input copied), "skipped" (nothing written), "unchanged" (persistent cache) or "failed" (processFolder)
+ * @property {boolean} [skipped] - Nothing was converted: unchanged in the persistent cache, or skipped by ifLarger
+ * @property {boolean} [dryRun] - Result describes a planned operation; nothing was written
+ * @property {Object} [plan] - Planned operation (dry runs only)
+ * @property {string} [plan.action] - "convert" or "skip"
+ * @property {string} [plan.reason] - Why a file would be skipped ("unsupported", "unchanged")
+ * @property {string} [plan.input] - Input file path
+ * @property {string} [plan.output] - Output file path (without extension for format "auto" unless estimated)
+ * @property {boolean} [plan.overwrite] - An existing file would be replaced
+ * @property {boolean} [plan.removeInput] - The input would be deleted (remove: true)
+ * @property {number} [plan.estimatedSize] - Output size from an in-memory encode (estimate: true)
+ * @property {string} message - Human-readable summary of the fields above
  * @property {Object} [stats] - Processing statistics
  * @property {number} [stats.inputSize] - Original file size in bytes
  * @property {number} [stats.outputSize] - Processed file size in bytes
  * @property {number} [stats.savedSize] - Bytes saved
- * @property {string} [stats.savingPercent] - Percentage saved/increased
+ * @property {string} [stats.savingPercent] - Percentage saved/increased, formatted ("-12.3" saved, "+4.0" increased)
+ * @property {number} [stats.width] - Output width in pixels
+ * @property {number} [stats.height] - Output height in pixels
+ * @property {number} [stats.quality] - Quality chosen by a targetSize or targetSSIM search
+ * @property {number} [stats.attempts] - Encodes tried by the search
+ * @property {number} [stats.ssim] - Measured SSIM of the chosen output
+ * @property {string} [stats.format] - Format picked when format is "auto"
+ * @property {Object} [stats.candidates] - Output size per candidate format when format is "auto"
+ * @property {number} [stats.frames] - Frames in an animated output
+ * @property {Object} [stats.crop] - Crop rectangle in input pixels (after EXIF rotation)
+ * @property {number} [stats.crop.left] - Left edge
+ * @property {number} [stats.crop.top] - Top edge
+ * @property {number} [stats.crop.width] - Crop width
+ * @property {number} [stats.crop.height] - Crop height
+ * @property {string} [stats.crop.strategy] - "attention", "entropy", "centre" or "focal"
+ * @property {Object} [stats.placeholders] - Placeholders requested with the placeholders option
+ * @property {string} [stats.placeholders.blurhash] - BlurHash string
+ * @property {string} [stats.placeholders.thumbhash] - Base64 ThumbHash
+ * @property {string} [stats.placeholders.dominantColor] - Hex colour, e.g. "#3a6ea5"
+ * @property {string} [stats.placeholders.preview] - Tiny WebP data URI
+ * @property {Object} [stats.metadata] - Metadata written to the output
+ * @property {string} [stats.metadata.mode] - Metadata mode used
+ * @property {string[]} [stats.metadata.exif] - EXIF tags present in the output
+ * @property {boolean} [stats.metadata.icc] - Output carries an ICC profile
+ * @property {boolean} [stats.metadata.xmp] - Output carries XMP data
  * @property {Error} [error] - Error object if operation failed
  */
 
@@ -46,6 +173,8 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 80,
       extension: ".jpg",
+      transparency: false,
+      mimeType: "image/jpeg",
       options: {
         progressive: true,
         chromaSubsampling: "4:4:4",
@@ -64,6 +193,9 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 100,
       extension: ".png",
+      transparency: true,
+      mimeType: "image/png",
+      maxEffort: 10,
       options: {
         compressionLevel: 6,
         palette: true,
@@ -81,6 +213,10 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 80,
       extension: ".webp",
+      transparency: true,
+      animation: true,
+      mimeType: "image/webp",
+      maxEffort: 6,
       options: {
         lossless: false,
         effort: 4,
@@ -100,6 +236,9 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 65,
       extension: ".avif",
+      transparency: true,
+      mimeType: "image/avif",
+      maxEffort: 9,
       options: {
         effort: 4,
         chromaSubsampling: "4:4:4",
@@ -118,6 +257,8 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 100,
       extension: ".tiff",
+      transparency: true,
+      mimeType: "image/tiff",
       options: {
         compression: "lzw",
         quality: 100,
@@ -137,6 +278,9 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 100,
       extension: ".gif",
+      transparency: true,
+      animation: true,
+      mimeType: "image/gif",
       options: {
         colours: 256,
         dither: 1,
@@ -154,18 +298,71 @@ class ImageProcessor extends EventEmitter {
       ],
       defaultQuality: 100,
       extension: ".svg",
+      transparency: true,
+      mimeType: "image/svg+xml",
       options: {
         density: 300,
       },
     },
   };
 
+  /**
+   * Options consumed by the processing pipeline instead of the encoder
+   * @private
+   * @readonly
+   */
+  static #PIPELINE_OPTIONS = [
+    "format",
+    "remove",
+    "width",
+    "height",
+    "fit",
+    "position",
+    "withoutEnlargement",
+    "maxPixels",
+    "targetSize",
+    "targetSSIM",
+    "candidates",
+    "persistentCache",
+    "metadata",
+    "animated",
+    "maxFrames",
+    "frameStep",
+    "watermark",
+    "crop",
+    "placeholders",
+    "ifLarger",
+    "minSaving",
+  ];
+
+  /**
+   * File name of the placeholders manifest written by processFolder
+   * @private
+   * @readonly
+   */
+  static #PLACEHOLDER_MANIFEST = "placeholders.json";
+
+  /**
+   * Formats inPlace can re-encode an input in
+   * @private
+   * @readonly
+   */
+  static #IN_PLACE_FORMATS = ["jpeg", "png", "webp", "avif", "tiff", "gif"];
+
+  /**
+   * Candidate formats tried by format "auto", in order of preference
+   * @private
+   * @readonly
+   */
+  static #AUTO_CANDIDATES = ["avif", "webp", "jpeg"];
+
   /**
    * Processing statistics
    * @private
    */
   #stats = {
     processed: 0,
+    improved: 0,
     failed: 0,
     skipped: 0,
     totalSaved: 0,
@@ -179,6 +376,24 @@ class ImageProcessor extends EventEmitter {
    */
   #cache = new Map();
 
+  /**
+   * Open persistent cache indexes by path
+   * @private
+   */
+  #contentCaches = new Map();
+
+  /**
+   * Project configuration option given to the constructor
+   * @private
+   */
+  #config;
+
+  /**
+   * Loaded project configurations by config option
+   * @private
+   */
+  #projectConfigs = new Map();
+
   /**
    * Default processing options
    * @private
@@ -194,11 +409,63 @@ class ImageProcessor extends EventEmitter {
     remove: false,
   };
 
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {boolean|string|Object} [options.config] - Project configuration applied to processFile and processFolder:
+   * true to look for one upward from the working directory, a configuration file path, or the configuration itself
+   */
+  constructor({ config = null } = {}) {
     super();
+    this.#config = config;
     this.#bindEventHandlers();
   }
 
+  /**
+   * Loads a project configuration once per config option
+   * @private
+   * @param {boolean|string|Object|null} [option] - See the constructor; false or null disables it
+   * @returns {Promise<import("./utils/config.mjs").ProjectConfig|null>}
+   * @throws {InvalidOptionError} When the configuration cannot be read or is invalid
+   */
+  async #projectConfig(option = this.#config) {
+    if (!option) return null;
+
+    const key = option === true ? `search:${process.cwd()}` : option;
+    if (!this.#projectConfigs.has(key)) {
+      const load = async () =>
+        option === true
+          ? findConfig()
+          : typeof option === "string"
+          ? loadConfig(option)
+          : createConfig(option);
+      const loading = load();
+      // A configuration that failed to load is read again next time
+      loading.catch(() => this.#projectConfigs.delete(key));
+      this.#projectConfigs.set(key, loading);
+    }
+    return this.#projectConfigs.get(key);
+  }
+
+  /**
+   * Picks the format a project configuration gives an input
+   * @private
+   * @param {import("./utils/config.mjs").ProjectConfig} project - Loaded configuration
+   * @param {string} input - Input file path
+   * @param {string[]} [candidates] - Candidate formats for "auto", overriding the configuration's
+   * @returns {{format: string, formatConfig: Object}|null} Null when no rule gives a format that accepts the input
+   */
+  #configuredFormat(project, input, candidates) {
+    const { format, processingOptions } = configFor(project, input);
+    const formatConfig =
+      format &&
+      this.#resolveFormatConfig(format, candidates ?? processingOptions.candidates);
+
+    if (!formatConfig?.supportedInputs.includes(path.extname(input).toLowerCase())) {
+      return null;
+    }
+    return { format, formatConfig };
+  }
+
   /**
    * Bind event handlers
    * @private
@@ -215,285 +482,2419 @@ class ImageProcessor extends EventEmitter {
    * @param {string} filePath - Path to input file
    * @param {string} outputPath - Path for output file
    * @param {ProcessingOptions} options - Processing options
+   * @param {import("sharp").Sharp} [source] - Already decoded input to clone instead of reading filePath
+   * @param {AbortSignal} [signal] - Aborts before the output is written, or removes a partly written one
    * @returns {Promise<ProcessingResult>}
    */
-  async #processImage(filePath, outputPath, options) {
+  async #processImage(filePath, outputPath, options, source = null, signal) {
+    const startTime = Date.now();
     try {
+      signal?.throwIfAborted();
       await this.#validateFile(filePath);
 
-      const inputSize = (await fs.stat(filePath)).size;
-      const cacheKey = `${filePath}:${JSON.stringify(options)}`;
+      const inputStats = await fs.stat(filePath);
+      const inputSize = inputStats.size;
+      // A changed input (one optimized in place, for one) or another output is converted again
+      const cacheKey = `${filePath}:${inputSize}:${inputStats.mtimeMs}:${path.resolve(
+        outputPath
+      )}:${JSON.stringify(options)}`;
 
       if (this.#cache.has(cacheKey)) {
         this.#stats.skipped++;
         return this.#cache.get(cacheKey);
       }
 
-      const { format, ...allOptions } = options;
+      const { pipeline, encoder } = this.#splitOptions(options);
+      const { ifLarger, minSaving } = this.#resolveIfLarger(pipeline);
+
+      const { contentCache, fingerprint, cached } =
+        await this.#lookupContentCache(filePath, outputPath, options, pipeline);
+      if (cached) {
+        this.#stats.skipped++;
+        return {
+          ...cached.result,
+          status: "unchanged",
+          skipped: true,
+          durationMs: Date.now() - startTime,
+          message: `⏭️ Unchanged - ${path.basename(filePath)}`,
+        };
+      }
+
+      const rendered = await this.#render(
+        filePath,
+        outputPath,
+        pipeline,
+        encoder,
+        source
+      );
+      const { data, info, search, options: encoderOptions } = rendered;
+      outputPath = rendered.outputPath;
+
+      const status = ImageProcessor.#isImproved(inputSize, data.length, minSaving)
+        ? "improved"
+        : { "keep-output": "unimproved", "copy-original": "original", skip: "skipped" }[
+            ifLarger
+          ];
 
-      await sharp(filePath)
-        .withMetadata()
-        .rotate() // Auto-rotate based on EXIF
-        .toFormat(path.extname(outputPath).slice(1), allOptions)
-        .toFile(outputPath);
+      signal?.throwIfAborted();
+      if (status === "original" || status === "skipped") {
+        const result = await this.#keepOriginal(filePath, outputPath, {
+          status,
+          inputSize,
+          convertedSize: data.length,
+          startTime,
+        });
+        // Nothing new was written, so there is no output to cache
+        if (status === "original") {
+          contentCache?.set(fingerprint, {
+            output: result.outputPath,
+            outputSize: inputSize,
+            result,
+          });
+          this.#stats.processed++;
+        } else {
+          this.#stats.skipped++;
+        }
+        this.#cache.set(cacheKey, result);
+        return result;
+      }
 
-      // await sharp(filePath)[format](allOptions).toFile(outputPath);
+      await ImageProcessor.#writeAtomic(outputPath, data, signal, info.pages ?? 1);
+      // The output is committed from here on, so an abort no longer drops it
 
-      const outputSize = (await fs.stat(outputPath)).size;
-      const result = this.#generateResult(filePath, inputSize, outputSize);
+      const outputSize = data.length;
+      const result = this.#generateResult(
+        {
+          status,
+          inputPath: filePath,
+          outputPath,
+          inputFormat: ImageProcessor.#formatName(path.extname(filePath)),
+          outputFormat: ImageProcessor.#formatName(path.extname(outputPath)),
+          width: info.width,
+          height: info.pageHeight ?? info.height, // Per frame for animations
+          inputSize,
+          outputSize,
+          durationMs: Date.now() - startTime,
+          encoderOptions,
+        },
+        {
+          ...search,
+          metadata: await this.#describeMetadata(data, pipeline.metadata),
+          ...(status === "unimproved" && { minSaving }),
+        }
+      );
 
-      if (options.remove) {
+      // Only an improved output replaces the input; converted in place, it already has
+      if (
+        options.remove &&
+        status === "improved" &&
+        path.resolve(filePath) !== path.resolve(outputPath)
+      ) {
         await fs.unlink(filePath);
       }
 
+      contentCache?.set(fingerprint, { output: outputPath, outputSize, result });
+
       this.#cache.set(cacheKey, result);
       this.#stats.processed++;
+      if (status === "improved") this.#stats.improved++;
       this.#stats.totalSaved += result.stats.savedSize;
 
       return result;
     } catch (error) {
+      // Cancellation is not a failure of the file
+      if (ImageProcessor.#isCancellation(error, signal)) throw error;
       this.#stats.failed++;
       throw this.#enhanceError(error, filePath);
     }
   }
 
   /**
-   * Validates file existence and permissions
+   * Handles an output that did not save minSaving under ifLarger
+   * "copy-original" (the input is copied next to where the output would
+   * have gone) or "skip" (nothing is written). The input is never removed.
    * @private
-   * @param {string} filePath - Path to file
+   * @param {string} filePath - Path to input file
+   * @param {string} outputPath - Path the converted output would have been written to
+   * @param {Object} details - status, inputSize, convertedSize (discarded output) and startTime
+   * @returns {Promise<ProcessingResult>}
    */
-  async #validateFile(filePath) {
-    try {
-      await fs.access(filePath, fs.constants.R_OK);
-      const stats = await fs.stat(filePath);
-      if (!stats.isFile()) {
-        throw new Error("Path is not a file");
-      }
-    } catch (error) {
-      throw new Error(`Invalid file path: ${error.message}`);
+  async #keepOriginal(filePath, outputPath, { status, inputSize, convertedSize, startTime }) {
+    const inputFormat = ImageProcessor.#formatName(path.extname(filePath));
+    const metadata = await sharp(filePath).metadata();
+    const output = {
+      status,
+      inputPath: filePath,
+      inputFormat,
+      width: metadata.width,
+      height: metadata.pageHeight ?? metadata.height,
+      inputSize,
+    };
+
+    if (status === "skipped") {
+      return this.#generateResult(
+        {
+          ...output,
+          skipped: true,
+          outputFormat: ImageProcessor.#formatName(path.extname(outputPath)),
+          outputSize: convertedSize,
+          durationMs: Date.now() - startTime,
+        },
+        { convertedSize }
+      );
     }
+
+    // Same name as the output, but the input's extension matches its content
+    const copyPath = path.join(
+      path.dirname(outputPath),
+      `${path.basename(outputPath, path.extname(outputPath))}${path.extname(filePath)}`
+    );
+    if (path.resolve(copyPath) !== path.resolve(filePath)) {
+      await ImageProcessor.#writeAtomic(copyPath, await fs.readFile(filePath));
+    }
+
+    return this.#generateResult(
+      {
+        ...output,
+        outputPath: copyPath,
+        outputFormat: inputFormat,
+        outputSize: inputSize,
+        durationMs: Date.now() - startTime,
+      },
+      { convertedSize }
+    );
   }
 
   /**
-   * Validates format compatibility
+   * Normalizes the ifLarger and minSaving options
    * @private
-   * @param {string} inputPath - Input file path
-   * @param {string} format - Target format
+   * @param {Object} pipeline - Pipeline options
+   * @returns {{ifLarger: string, minSaving: number}}
+   * @throws {InvalidOptionError}
    */
-  #validateFormat(inputPath, format) {
-    const inputExt = path.extname(inputPath).toLowerCase();
-    const formatConfig = ImageProcessor.#FORMAT_MAPPINGS[format.toLowerCase()];
-
-    if (!formatConfig) {
-      throw new Error(`Unsupported output format: ${format}`);
-    }
-
-    if (!formatConfig.supportedInputs.includes(inputExt)) {
-      throw new Error(
-        `Cannot convert ${inputExt} to ${format}. Supported input formats: ${formatConfig.supportedInputs.join(
-          ", "
-        )}`
+  #resolveIfLarger({ ifLarger = "keep-output", minSaving = 0 }) {
+    if (!IF_LARGER_MODES.includes(ifLarger)) {
+      throw new InvalidOptionError(
+        `Unsupported ifLarger mode: ${ifLarger}. Use ${IF_LARGER_MODES.join(", ")}`
       );
     }
-
-    return formatConfig;
+    if (!(minSaving >= 0 && minSaving < 100)) {
+      throw new InvalidOptionError("minSaving must be a percentage from 0 to below 100");
+    }
+    return { ifLarger, minSaving };
   }
 
-    /**
-   * get format
-   * @public
-   * @param {string} format - Target format
+  /**
+   * @private
+   * @param {number} inputSize - Input size in bytes
+   * @param {number} outputSize - Output size in bytes
+   * @param {number} minSaving - Required saving in percent
+   * @returns {boolean} Whether the output is smaller by at least minSaving
    */
-  getFormt(format) {
-    const formatConfig = ImageProcessor.#FORMAT_MAPPINGS[format.toLowerCase()];
-    return formatConfig;
+  static #isImproved(inputSize, outputSize, minSaving) {
+    return (
+      outputSize < inputSize &&
+      ((inputSize - outputSize) / inputSize) * 100 >= minSaving
+    );
   }
 
   /**
-   * Generates standardized processing result
+   * Whether an error is the cancellation itself rather than a failure that
+   * happened to surface after the signal fired
    * @private
+   * @param {Error} error - Caught error
+   * @param {AbortSignal} [signal] - Operation signal
+   * @returns {boolean}
    */
-  #generateResult(filePath, inputSize, outputSize) {
-    const savedSize = inputSize - outputSize;
-    const savingPercent = ((savedSize / inputSize) * 100).toFixed(1);
-    const fileName = path.basename(filePath);
-
-    return {
-      success: true,
-      message: this.#formatResultMessage(
-        fileName,
-        inputSize,
-        outputSize,
-        savingPercent
-      ),
-      stats: {
-        inputSize,
-        outputSize,
-        savedSize,
-        savingPercent:
-          savedSize < 0 ? `+${Math.abs(savingPercent)}` : `-${savingPercent}`,
-      },
-    };
+  static #isCancellation(error, signal) {
+    return (
+      Boolean(signal?.aborted) &&
+      (error?.name === "AbortError" || error === signal.reason)
+    );
   }
 
   /**
-   * Formats result message
+   * Writes an output under a temporary name, checks that it decodes and
+   * renames it into place, so a crash or an abort never leaves a truncated
+   * file and an existing file (the input, in place) is only replaced by a
+   * complete image
    * @private
+   * @param {string} outputPath - Final path
+   * @param {Buffer} data - Encoded image
+   * @param {AbortSignal} [signal] - Aborts the write; the temporary file is removed
+   * @param {number} [pages] - Frames encoded into data, checked when given
+   * @throws {OutputWriteError}
    */
-  #formatResultMessage(fileName, inputSize, outputSize, savingPercent) {
-    const prefix =
-      outputSize > inputSize ? "⚠️ Size increased" : "✅ Size reduced";
-    return `${prefix} - ${fileName}
-    Original: ${(inputSize / 1024).toFixed(2)}KB
-    New: ${(outputSize / 1024).toFixed(2)}KB
-    Change: ${outputSize > inputSize ? "+" : "-"}${Math.abs(savingPercent)}%`;
+  static async #writeAtomic(outputPath, data, signal, pages) {
+    const tempPath = `${outputPath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, data, { signal });
+      // Shrinking to one pixel still reads every frame to its end, without
+      // paying for a full-size decode
+      const written = await sharp(tempPath, { animated: true })
+        .metadata()
+        .then(async (metadata) => {
+          await sharp(tempPath, { animated: true }).resize(1, 1).raw().toBuffer();
+          return metadata;
+        })
+        .catch((error) => {
+          throw new OutputWriteError(
+            `Written output ${outputPath} does not decode: ${error.message}`,
+            { filePath: outputPath, cause: error }
+          );
+        });
+      if (pages !== undefined && (written.pages ?? 1) !== pages) {
+        throw new OutputWriteError(
+          `Written output ${outputPath} has ${written.pages ?? 1} frames instead of ${pages}`,
+          { filePath: outputPath }
+        );
+      }
+      signal?.throwIfAborted();
+      await fs.rename(tempPath, outputPath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      if (error instanceof OutputWriteError) throw error;
+      if (ImageProcessor.#isCancellation(error, signal)) throw error;
+      throw new OutputWriteError(`Cannot write ${outputPath}: ${error.message}`, {
+        filePath: outputPath,
+        cause: error,
+      });
+    }
   }
 
   /**
-   * Enhances error with context
+   * Describes what #processImage would do without writing anything
    * @private
+   * @param {string} filePath - Path to input file
+   * @param {string} outputPath - Path for output file
+   * @param {ProcessingOptions} options - Processing options
+   * @param {boolean} estimate - Encode in memory to report the output size
+   * @returns {Promise<ProcessingResult>}
    */
-  #enhanceError(error, filePath) {
-    const enhancedError = new Error(
-      `Processing failed for ${filePath}: ${error.message}`
-    );
-    enhancedError.originalError = error;
-    enhancedError.filePath = filePath;
-    return enhancedError;
+  async #planImage(filePath, outputPath, options, estimate) {
+    try {
+      await this.#validateFile(filePath);
+
+      const inputSize = (await fs.stat(filePath)).size;
+      const { pipeline, encoder } = this.#splitOptions(options);
+
+      const { cached } = await this.#lookupContentCache(
+        filePath,
+        outputPath,
+        options,
+        pipeline
+      );
+      if (cached) {
+        return this.#generatePlan({
+          action: "skip",
+          reason: "unchanged",
+          input: filePath,
+          output: cached.output,
+          inputSize,
+        });
+      }
+
+      let estimatedSize;
+      let outputFormat = pipeline.format;
+      if (estimate) {
+        const rendered = await this.#render(
+          filePath,
+          outputPath,
+          pipeline,
+          encoder
+        );
+        outputPath = rendered.outputPath;
+        outputFormat = rendered.search?.format ?? pipeline.format;
+        estimatedSize = rendered.data.length;
+      } else if (pipeline.format === "auto") {
+        // The extension is only known once the candidates have been encoded
+        outputPath = outputPath.slice(
+          0,
+          outputPath.length - path.extname(outputPath).length
+        );
+      }
+
+      const overwrite =
+        path.extname(outputPath) !== "" &&
+        (await fs.stat(outputPath).then(
+          (stats) => stats.isFile(),
+          () => false
+        ));
+
+      return this.#generatePlan({
+        action: "convert",
+        input: filePath,
+        output: outputPath,
+        format: outputFormat,
+        inputSize,
+        overwrite,
+        // Without an estimate, whether the output improves is not known yet
+        removeInput:
+          Boolean(options.remove) &&
+          path.resolve(filePath) !== path.resolve(outputPath) &&
+          (estimatedSize === undefined ||
+            ImageProcessor.#isImproved(inputSize, estimatedSize, pipeline.minSaving ?? 0)),
+        estimatedSize,
+      });
+    } catch (error) {
+      throw this.#enhanceError(error, filePath);
+    }
   }
 
   /**
-   * Event handlers
+   * Opens the persistent cache (when enabled) and looks the conversion up
    * @private
+   * @param {string} filePath - Path to input file
+   * @param {string} outputPath - Path for output file
+   * @param {ProcessingOptions} options - Processing options
+   * @param {Object} pipeline - Pipeline options
+   * @returns {Promise<{contentCache: ContentCache|null, fingerprint: string|null, cached: Object|null}>}
    */
-  #handleError(error) {
-    console.error("Processing error:", error);
-  }
+  async #lookupContentCache(filePath, outputPath, options, pipeline) {
+    if (!pipeline.persistentCache) {
+      return { contentCache: null, fingerprint: null, cached: null };
+    }
 
-  #handleProcessingStart() {
-    this.#stats.startTime = Date.now();
-  }
+    const contentCache = await this.#openContentCache(
+      pipeline.persistentCache,
+      outputPath
+    );
+    const { persistentCache, ...fingerprintOptions } = options;
+    if (pipeline.crop) {
+      // A moved focal point in the sidecar must invalidate the output
+      fingerprintOptions.cropSidecar = await this.#readCropSidecar(
+        filePath,
+        this.#resolveCrop(pipeline.crop)
+      );
+    }
+    // An edited watermark file must invalidate the outputs carrying it
+    const watermarkImage =
+      pipeline.watermark && this.#resolveWatermark(pipeline.watermark).image;
+    const fingerprint = await contentCache.fingerprint(filePath, {
+      options: fingerprintOptions,
+      inputs: typeof watermarkImage === "string" ? [watermarkImage] : [],
+      encoder: sharp.versions,
+      // format "auto" decides the extension later
+      target:
+        pipeline.format === "auto"
+          ? outputPath.slice(0, outputPath.length - path.extname(outputPath).length)
+          : outputPath,
+    });
 
-  #handleProcessingComplete() {
-    this.#stats.endTime = Date.now();
+    return {
+      contentCache,
+      fingerprint,
+      cached: await contentCache.lookup(fingerprint),
+    };
   }
 
   /**
-   * Process a single image file
-   * @public
-   * @param {Object} options - Processing options
-   * @param {string} options.input - Input file path
-   * @param {string} options.output - Output file path (optional)
-   * @param {string} options.format - Target format (png, webp, jpeg, avif)
-   * @param {ProcessingOptions} [options.processingOptions] - Processing options
-   * @returns {Promise<ProcessingResult>}
+   * Decodes, resizes and encodes an input in memory
+   * @private
+   * @param {string} filePath - Path to input file
+   * @param {string} outputPath - Requested output path
+   * @param {Object} pipeline - Pipeline options
+   * @param {Object} encoder - Encoder options
+   * @param {import("sharp").Sharp} [source] - Already decoded input
+   * @returns {Promise<{data: Buffer, info: Object, search?: Object, options: Object, outputPath: string}>}
+   * Encoded output, its encoder options and the output path with the extension actually produced
    */
-  async processFile(options) {
-    const { input, format, processingOptions = {} } = options;
+  async #render(filePath, outputPath, pipeline, encoder, source = null) {
+    const { data, info, search, options, extension } = await this.#transform(
+      {
+        input: filePath,
+        inputExt: path.extname(filePath).toLowerCase(),
+        format: path.extname(outputPath).slice(1),
+        source,
+      },
+      pipeline,
+      encoder
+    );
 
-    this.emit("processing:start");
+    if (extension) {
+      outputPath = path.join(
+        path.dirname(outputPath),
+        `${path.basename(outputPath, path.extname(outputPath))}${extension}`
+      );
+    }
 
-    try {
-      const formatConfig = this.#validateFormat(input, format);
+    return { data, info, search, options, outputPath };
+  }
 
-      // Determine output path
+  /**
+   * Opens the input, applies rotation, metadata and resizing, then encodes
+   * @private
+   * @param {Object} job - Input description
+   * @param {string|Buffer} job.input - Input path or data
+   * @param {string} job.inputExt - Input extension, checked against candidate formats
+   * @param {string} job.format - Output format (ignored when format is "auto")
+   * @param {import("sharp").Sharp} [job.source] - Already decoded input to clone instead of opening input
+   * @param {Object} pipeline - Pipeline options
+   * @param {Object} encoder - Encoder options
+   * @returns {Promise<{data: Buffer, info: Object, search?: Object, options: Object, extension?: string}>}
+   * @throws {DecodeError|EncodeError|CrushifyError} Typed by the stage that failed, see #stageError
+   */
+  async #transform({ input, inputExt, format, source }, pipeline, encoder) {
+    // An input whose header cannot be read is not an image sharp can decode
+    if (!source) await ImageProcessor.#probeInput(input);
 
-      const output =
-        options.output ||
-        path.join(
-          path.dirname(input),
-          `${path.basename(input, path.extname(input))}${
-            formatConfig.extension
-          }`
-        );
+    let encoding = false;
+    try {
+      const animation = source
+        ? null
+        : await this.#prepareAnimation(input, format, pipeline);
+      const image = source
+        ? source.clone()
+        : animation
+        ? sharp(animation.input, { animated: true })
+        : sharp(input);
 
-      // Ensure output directory exists
-      await fs.mkdir(path.dirname(output), { recursive: true });
+      image.rotate(); // Auto-rotate based on EXIF
 
-      // Merge options
-      const mergedOptions = {
-        // ...this.#defaultOptions,
-        ...formatConfig.options,
-        quality: formatConfig.defaultQuality,
-        format,
-        ...processingOptions,
-      };
+      // Extracting before resize() makes sharp crop the full-size input
+      const crop = await this.#applyCrop(image, { input, source }, pipeline.crop);
+      await this.#applyMetadata(image, input, pipeline.metadata);
+      await this.#applyResize(image, pipeline);
+      await this.#applyWatermark(image, pipeline.watermark, animation?.frames);
+      // Without this, transparent pixels of a JPEG come out black
+      if (
+        pipeline.format !== "auto" &&
+        ImageProcessor.#FORMAT_MAPPINGS[ImageProcessor.#formatName(format)]
+          ?.transparency === false
+      ) {
+        image.flatten({ background: "#ffffff" });
+      }
+      const placeholders = await this.#computePlaceholders(
+        image,
+        pipeline.placeholders,
+        animation?.frames
+      );
 
-      const result = await this.#processImage(input, output, mergedOptions);
+      encoding = true;
+      const encoded =
+        pipeline.format === "auto"
+          ? await this.#encodeBest(image, inputExt, encoder, pipeline, Boolean(animation))
+          : await this.#encodeWith(image, format, encoder, pipeline);
 
-      this.emit("processing:complete");
-      return result;
+      if (animation) {
+        encoded.search = { ...encoded.search, frames: animation.frames };
+      }
+      if (crop) {
+        encoded.search = { ...encoded.search, crop };
+      }
+      if (placeholders) {
+        encoded.search = { ...encoded.search, placeholders };
+      }
+      return encoded;
     } catch (error) {
-      this.emit("error", error);
-      throw error;
+      throw await ImageProcessor.#stageError(
+        error,
+        source ?? input,
+        encoding ? EncodeError : CrushifyError
+      );
     }
   }
 
   /**
-   * Process a folder of images
-   * @public
-   * @param {Object} options - Processing options
-   * @param {string} options.folder - Input folder path
-   * @param {string} options.dest - Output folder path
-   * @param {string} options.format - Target format (png, webp, jpeg, avif)
-   * @param {ProcessingOptions} [options.processingOptions] - Processing options
-   * @param {Function} [progressCallback] - Progress callback
-   * @returns {Promise<ProcessingResult[]>}
+   * Decides whether an input is converted as an animation and applies
+   * frame dropping. Dropped frames' delays are added to the preceding kept
+   * frame so the animation keeps its total duration.
+   * @private
+   * @param {string|Buffer} input - Input path or data
+   * @param {string} format - Output format
+   * @param {Object} pipeline - Pipeline options
+   * @returns {Promise<{input: string|Buffer, frames: number}|null>}
+   * Input to open with every frame, or null for a still conversion
    */
-  async processFolder(options, progressCallback = null) {
-    const { folder, dest, format } = options;
+  async #prepareAnimation(input, format, pipeline) {
+    if (pipeline.animated === false) return null;
 
-    const formatConfig = ImageProcessor.#FORMAT_MAPPINGS[format.toLowerCase()];
+    const formats =
+      pipeline.format === "auto"
+        ? pipeline.candidates || ImageProcessor.#AUTO_CANDIDATES
+        : [format];
+    const canAnimate = formats.some(
+      (candidate) =>
+        ImageProcessor.#FORMAT_MAPPINGS[candidate.toLowerCase()]?.animation
+    );
+    if (!canAnimate) return null;
 
-    if (!formatConfig) {
-      throw new Error(`Unsupported format: ${format}`);
-    }
+    const { pages = 1, pageHeight, width, delay = [], loop = 0 } = await sharp(
+      input,
+      { animated: true }
+    ).metadata();
+    if (pages <= 1) return null;
 
-    this.emit("processing:start");
+    const step = Math.max(Math.floor(pipeline.frameStep) || 1, 1);
+    let kept = Array.from({ length: Math.ceil(pages / step) }, (_, index) => index * step);
+    if (pipeline.maxFrames > 0 && kept.length > pipeline.maxFrames) {
+      // Spread the kept frames evenly over the whole animation
+      const stride = kept.length / pipeline.maxFrames;
+      kept = Array.from(
+        { length: Math.floor(pipeline.maxFrames) },
+        (_, index) => kept[Math.floor(index * stride)]
+      );
+    }
+    if (kept.length === pages) return { input, frames: pages };
 
-    try {
-      await fs.mkdir(dest, { recursive: true });
-      const files = await fs.readdir(folder);
+    const delays = kept.map((frame, index) => {
+      const end = kept[index + 1] ?? pages;
+      let total = 0;
+      for (let page = frame; page < end; page++) total += delay[page] ?? 100;
+      return Math.min(total, 65535);
+    });
 
-      const imageFiles = files.filter((file) => {
-        const ext = path.extname(file).toLowerCase();
-        return formatConfig.supportedInputs.includes(ext);
-      });
+    // Decode every frame, then paint the kept ones over a decode that has
+    // exactly as many pages; sharp cannot build pages from raw pixels
+    const { data, info } = await sharp(input, { animated: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const frameBytes = width * pageHeight * info.channels;
+    const frames = Buffer.concat(
+      kept.map((frame) => data.subarray(frame * frameBytes, (frame + 1) * frameBytes))
+    );
 
-      const results = [];
-      for (const [index, file] of imageFiles.entries()) {
-        const input = path.join(folder, file);
-        const output = path.join(
-          dest,
-          `${path.basename(file, path.extname(file))}${formatConfig.extension}`
-        );
+    const reduced = await sharp(input, { animated: true, pages: kept.length })
+      .composite([
+        {
+          input: frames,
+          raw: { width, height: pageHeight * kept.length, channels: info.channels },
+          blend: "source",
+          top: 0,
+          left: 0,
+        },
+      ])
+      .webp({ lossless: true, effort: 0, delay: delays, loop })
+      .toBuffer();
 
-        try {
-          const result = await this.processFile({
-            input,
-            output,
-            format,
-            processingOptions: options.processingOptions,
-          });
+    return { input: reduced, frames: kept.length };
+  }
 
-          results.push(result);
+  /**
+   * Encodes with the search strategy requested by the pipeline options
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {string} format - Output format
+   * @param {Object} encoder - Encoder options
+   * @param {Object} pipeline - Pipeline options
+   * @returns {Promise<{data: Buffer, info: Object, search?: Object}>}
+   */
+  async #encodeWith(image, format, encoder, pipeline) {
+    if (pipeline.targetSSIM) {
+      return this.#encodeToSSIM(image, format, encoder, pipeline);
+    }
+    if (pipeline.targetSize) {
+      return this.#encodeToSize(image, format, encoder, pipeline);
+    }
+    return this.#encode(image, format, encoder);
+  }
 
+  /**
+   * Encodes every candidate format and keeps the smallest acceptable output.
+   * JPEG is never picked for images with transparency.
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {string} inputExt - Input extension, checked against each candidate
+   * @param {Object} encoder - Caller encoder options
+   * @param {Object} pipeline - Pipeline options
+   * @param {boolean} [animated] - Image holds several frames; formats without animation are skipped
+   * @returns {Promise<{data: Buffer, info: Object, options: Object, search: Object, extension: string}>}
+   */
+  async #encodeBest(image, inputExt, encoder, pipeline, animated = false) {
+    const candidates = pipeline.candidates || ImageProcessor.#AUTO_CANDIDATES;
+    const { isOpaque } = await image.clone().stats();
+    const callerOptions = Object.fromEntries(
+      Object.entries(encoder).filter(([, value]) => value !== undefined)
+    );
+
+    const sizes = {};
+    const rejected = [];
+    let best = null;
+
+    for (const candidate of candidates) {
+      const formatConfig =
+        ImageProcessor.#FORMAT_MAPPINGS[candidate.toLowerCase()];
+
+      if (!formatConfig) {
+        throw new UnsupportedFormatError(`Unsupported candidate format: ${candidate}`);
+      }
+      if (!formatConfig.supportedInputs.includes(inputExt)) {
+        rejected.push(`${candidate} (cannot convert ${inputExt})`);
+        continue;
+      }
+      if (!isOpaque && !formatConfig.transparency) {
+        rejected.push(`${candidate} (image has transparency)`);
+        continue;
+      }
+      if (animated && !formatConfig.animation) {
+        rejected.push(`${candidate} (image is animated)`);
+        continue;
+      }
+
+      const { encoder: candidateEncoder } = this.#splitOptions(
+        this.#mergeOptions(formatConfig, candidate, callerOptions)
+      );
+
+      try {
+        const encoded = await this.#encodeWith(
+          image,
+          candidate,
+          candidateEncoder,
+          { ...pipeline, format: candidate }
+        );
+        sizes[candidate] = encoded.info.size;
+
+        if (!best || encoded.info.size < best.encoded.info.size) {
+          best = { candidate, formatConfig, encoded };
+        }
+      } catch (error) {
+        rejected.push(`${candidate} (${error.message})`);
+      }
+    }
+
+    if (!best) {
+      throw new EncodeError(
+        `No candidate format produced an acceptable output: ${rejected.join(
+          "; "
+        )}`
+      );
+    }
+
+    return {
+      data: best.encoded.data,
+      info: best.encoded.info,
+      options: best.encoded.options,
+      search: {
+        ...best.encoded.search,
+        format: best.candidate,
+        candidates: sizes,
+      },
+      extension: best.formatConfig.extension,
+    };
+  }
+
+  /**
+   * Encodes a pipeline into memory
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {string} format - Output format
+   * @param {Object} encoder - Encoder options
+   * @returns {Promise<{data: Buffer, info: Object, options: Object}>}
+   * Encoded output and the options it was encoded with
+   */
+  async #encode(image, format, encoder) {
+    const { data, info } = await image
+      .clone()
+      .toFormat(format, encoder)
+      .toBuffer({ resolveWithObject: true });
+    return { data, info, options: encoder };
+  }
+
+  /**
+   * Binary-searches quality, then effort, until the output fits targetSize
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {string} format - Output format
+   * @param {Object} encoder - Encoder options
+   * @param {Object} pipeline - Pipeline options (targetSize, format)
+   * @returns {Promise<{data: Buffer, info: Object, search: Object}>}
+   */
+  async #encodeToSize(image, format, encoder, { targetSize, format: target }) {
+    const formatConfig =
+      ImageProcessor.#FORMAT_MAPPINGS[String(target).toLowerCase()] || {};
+    const startQuality = encoder.quality ?? formatConfig.defaultQuality ?? 100;
+    const efforts = [encoder.effort];
+    if (formatConfig.maxEffort && encoder.effort !== formatConfig.maxEffort) {
+      efforts.push(formatConfig.maxEffort);
+    }
+
+    let attempts = 0;
+    let smallest = Infinity;
+    const encodeAt = async (quality, effort) => {
+      attempts++;
+      const settings = effort === undefined ? { quality } : { quality, effort };
+      const encoded = await this.#encode(image, format, {
+        ...encoder,
+        ...settings,
+      });
+      smallest = Math.min(smallest, encoded.info.size);
+      return encoded;
+    };
+    const describe = (quality, effort) =>
+      effort === undefined
+        ? { quality, attempts }
+        : { quality, effort, attempts };
+
+    for (const effort of efforts) {
+      const first = await encodeAt(startQuality, effort);
+      if (first.info.size <= targetSize) {
+        return { ...first, search: describe(startQuality, effort) };
+      }
+
+      // Largest quality whose output still fits the budget
+      let low = 1;
+      let high = startQuality - 1;
+      let best = null;
+      while (low <= high) {
+        const quality = Math.floor((low + high) / 2);
+        const encoded = await encodeAt(quality, effort);
+        if (encoded.info.size <= targetSize) {
+          best = { ...encoded, quality };
+          low = quality + 1;
+        } else {
+          high = quality - 1;
+        }
+      }
+
+      if (best) {
+        return {
+          data: best.data,
+          info: best.info,
+          options: best.options,
+          search: describe(best.quality, effort),
+        };
+      }
+    }
+
+    throw new EncodeError(
+      `Cannot fit ${format} output into ${targetSize} bytes: smallest result was ${smallest} bytes after ${attempts} attempts`
+    );
+  }
+
+  /**
+   * Searches for the smallest output whose SSIM against the source reaches
+   * targetSSIM, optionally also enforcing targetSize
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {string} format - Output format
+   * @param {Object} encoder - Encoder options
+   * @param {Object} pipeline - Pipeline options (targetSSIM, targetSize)
+   * @returns {Promise<{data: Buffer, info: Object, search: Object}>}
+   */
+  async #encodeToSSIM(image, format, encoder, { targetSSIM, targetSize }) {
+    const reference = await this.#luminance(image.clone());
+    const { width, height, channels } = reference.info;
+
+    let attempts = 0;
+    let best = null;
+    let highestScore = -1;
+    let low = 1;
+    let high = 100;
+
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      attempts++;
+      const encoded = await this.#encode(image, format, {
+        ...encoder,
+        quality,
+      });
+      const decoded = await this.#luminance(sharp(encoded.data, { animated: true }));
+      const score = ssim(reference.data, decoded.data, width, height, channels);
+      highestScore = Math.max(highestScore, score);
+
+      if (score >= targetSSIM) {
+        if (!best || encoded.info.size < best.info.size) {
+          best = { ...encoded, quality, score };
+        }
+        high = quality - 1;
+      } else {
+        low = quality + 1;
+      }
+    }
+
+    if (!best) {
+      throw new EncodeError(
+        `Cannot reach SSIM ${targetSSIM} with ${format}: best score was ${highestScore.toFixed(
+          4
+        )} after ${attempts} attempts`
+      );
+    }
+
+    if (targetSize && best.info.size > targetSize) {
+      throw new EncodeError(
+        `Cannot fit ${format} output into ${targetSize} bytes at SSIM ${targetSSIM}: needs ${best.info.size} bytes (quality ${best.quality})`
+      );
+    }
+
+    return {
+      data: best.data,
+      info: best.info,
+      options: best.options,
+      search: {
+        quality: best.quality,
+        ssim: Number(best.score.toFixed(4)),
+        attempts,
+      },
+    };
+  }
+
+  /**
+   * Decodes a pipeline to raw greyscale pixels flattened on white
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @returns {Promise<{data: Buffer, info: Object}>}
+   */
+  async #luminance(image) {
+    return image
+      .flatten({ background: "#ffffff" })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+
+  /**
+   * Opens (once) the persistent cache index for an output
+   * @private
+   * @param {boolean|string} option - true for an index next to the output, or an index path
+   * @param {string} outputPath - Output file path
+   * @returns {Promise<ContentCache>}
+   */
+  #openContentCache(option, outputPath) {
+    const indexPath = path.resolve(
+      typeof option === "string"
+        ? option
+        : path.join(path.dirname(outputPath), ContentCache.FILE_NAME)
+    );
+
+    if (!this.#contentCaches.has(indexPath)) {
+      this.#contentCaches.set(indexPath, ContentCache.open(indexPath));
+    }
+    return this.#contentCaches.get(indexPath);
+  }
+
+  /**
+   * Writes every open persistent cache index to disk
+   * @private
+   */
+  async #flushContentCaches() {
+    const caches = await Promise.all(this.#contentCaches.values());
+    await Promise.all(caches.map((cache) => cache.flush()));
+  }
+
+  /**
+   * Merges format defaults with caller supplied processing options
+   * @private
+   * @param {Object} formatConfig - Entry from the format mappings
+   * @param {string} format - Target format
+   * @param {ProcessingOptions} processingOptions - Caller options
+   * @returns {ProcessingOptions}
+   */
+  #mergeOptions(formatConfig, format, processingOptions = {}) {
+    return {
+      // ...this.#defaultOptions,
+      ...formatConfig.options,
+      quality: formatConfig.defaultQuality,
+      format,
+      ...processingOptions,
+    };
+  }
+
+  /**
+   * Separates pipeline options from the options handed to the encoder
+   * @private
+   * @param {ProcessingOptions} options - Merged processing options
+   * @returns {{pipeline: Object, encoder: Object}}
+   */
+  #splitOptions(options) {
+    const pipeline = {};
+    const encoder = {};
+
+    for (const [key, value] of Object.entries(options)) {
+      if (ImageProcessor.#PIPELINE_OPTIONS.includes(key)) {
+        pipeline[key] = value;
+      } else {
+        encoder[key] = value;
+      }
+    }
+
+    return { pipeline, encoder };
+  }
+
+  /**
+   * Normalizes the metadata option
+   * @private
+   * @param {string|MetadataOptions} [option] - Metadata option
+   * @returns {MetadataOptions}
+   */
+  #resolveMetadata(option = "keep") {
+    const settings = typeof option === "string" ? { mode: option } : { ...option };
+    settings.mode ??= settings.keep?.length ? "strip" : "keep";
+
+    if (!METADATA_MODES.includes(settings.mode)) {
+      throw new InvalidOptionError(`Unsupported metadata mode: ${settings.mode}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Configures which metadata a sharp pipeline writes to its output
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {string|Buffer} input - Input the allow-listed tags are read from
+   * @param {string|MetadataOptions} [option] - Metadata option
+   */
+  async #applyMetadata(image, input, option) {
+    const { mode, keep = [], copyright, artist, xmp } = this.#resolveMetadata(option);
+
+    if (mode === "keep" && xmp === false) {
+      // Everything but XMP: sharp can only add kinds of metadata, not remove one
+      image.keepExif().keepIccProfile();
+    } else if (mode === "keep") {
+      image.withMetadata();
+    } else if (mode === "icc-only") {
+      image.keepIccProfile();
+    }
+    if (mode !== "keep" && xmp === true) {
+      image.keepXmp();
+    }
+
+    const exif = {};
+
+    // "keep" already carries every tag; otherwise copy the allow-listed ones
+    if (mode !== "keep" && keep.length) {
+      const wanted = new Set(keep.map((tag) => tag.toLowerCase()));
+      // Read from the input: pipelines cloned from decoded pixels carry no EXIF
+      const tags = parseExif((await sharp(input).metadata()).exif);
+
+      for (const [section, entries] of Object.entries(tags)) {
+        for (const [name, value] of Object.entries(entries)) {
+          // Only text tags survive being written back through libvips
+          if (wanted.has(name.toLowerCase()) && typeof value === "string") {
+            (exif[section] ??= {})[name] = value;
+          }
+        }
+      }
+    }
+
+    if (copyright) (exif.IFD0 ??= {}).Copyright = copyright;
+    if (artist) (exif.IFD0 ??= {}).Artist = artist;
+
+    if (Object.keys(exif).length) {
+      if (mode === "keep") {
+        image.withExifMerge(exif);
+      } else {
+        image.withExif(exif);
+      }
+    }
+  }
+
+  /**
+   * Reports the metadata carried by an encoded output
+   * @private
+   * @param {Buffer} data - Encoded output
+   * @param {string|MetadataOptions} [option] - Metadata option
+   * @returns {Promise<{mode: string, exif: string[], icc: boolean, xmp: boolean}>}
+   */
+  async #describeMetadata(data, option) {
+    const { mode } = this.#resolveMetadata(option);
+    const { exif, icc, xmp } = await sharp(data).metadata();
+
+    return {
+      mode,
+      exif: exifTagNames(parseExif(exif)),
+      icc: Boolean(icc),
+      xmp: Boolean(xmp),
+    };
+  }
+
+  /**
+   * Size of an image once auto-rotated: EXIF orientations 5-8 swap width
+   * and height
+   * @private
+   * @param {import("sharp").Metadata} metadata - Image metadata
+   * @param {number} [height] - Height to use instead, e.g. one frame's
+   * @returns {{width: number, height: number}}
+   */
+  static #orientedSize(metadata, height = metadata.height) {
+    return metadata.orientation >= 5
+      ? { width: height, height: metadata.width }
+      : { width: metadata.width, height };
+  }
+
+  /**
+   * Adds resizing to a sharp pipeline when dimensions or a pixel cap are set
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline
+   * @param {Object} options - Pipeline options
+   */
+  async #applyResize(image, options) {
+    const {
+      width,
+      height,
+      fit = "cover",
+      position = "centre",
+      withoutEnlargement = false,
+      maxPixels,
+    } = options;
+
+    if (!width && !height && !maxPixels) return;
+
+    if (!maxPixels) {
+      image.resize({ width, height, fit, position, withoutEnlargement });
+      return;
+    }
+
+    const metadata = await image.metadata();
+    // Animated pipelines stack their frames vertically; the cap is per frame
+    const source = ImageProcessor.#orientedSize(
+      metadata,
+      metadata.pageHeight ?? metadata.height
+    );
+    const target = this.#resolveDimensions(source, {
+      width,
+      height,
+      fit,
+      withoutEnlargement,
+    });
+
+    const pixels = target.width * target.height;
+    if (pixels <= maxPixels) {
+      if (width || height) {
+        image.resize({ width, height, fit, position, withoutEnlargement });
+      }
+      return;
+    }
+
+    const scale = Math.sqrt(maxPixels / pixels);
+    image.resize({
+      width: Math.max(1, Math.floor(target.width * scale)),
+      height: Math.max(1, Math.floor(target.height * scale)),
+      fit: width && height ? fit : "fill",
+      position,
+    });
+  }
+
+  /**
+   * Normalizes the crop option
+   * @private
+   * @param {string|number|CropOptions} option - Crop option
+   * @returns {CropOptions & {ratio: number}}
+   */
+  #resolveCrop(option) {
+    const settings =
+      typeof option === "object" ? { ...option } : { aspect: option };
+
+    const [width, height = 1] = String(settings.aspect)
+      .split(":")
+      .map((part) => Number(part));
+    settings.ratio = width / height;
+    if (!(settings.ratio > 0) || !Number.isFinite(settings.ratio)) {
+      throw new InvalidOptionError(`Invalid crop aspect: ${settings.aspect}`);
+    }
+
+    settings.strategy = (settings.strategy || "attention").toLowerCase();
+    if (!CROP_STRATEGIES.includes(settings.strategy)) {
+      throw new InvalidOptionError(`Unsupported crop strategy: ${settings.strategy}`);
+    }
+    settings.sidecar ??= true;
+    return settings;
+  }
+
+  /**
+   * Reads the focal point stored next to an input, e.g. photo.json for
+   * photo.jpg, containing {"focal": {"x": 0.3, "y": 0.4}}
+   * @private
+   * @param {string|Buffer} input - Input path or data
+   * @param {CropOptions} settings - Resolved crop options
+   * @returns {Promise<{x: number, y: number}|null>}
+   */
+  async #readCropSidecar(input, { sidecar }) {
+    if (!sidecar || typeof input !== "string") return null;
+
+    const sidecarPath =
+      typeof sidecar === "string"
+        ? sidecar
+        : path.join(
+            path.dirname(input),
+            `${path.basename(input, path.extname(input))}.json`
+          );
+
+    let content;
+    try {
+      content = await fs.readFile(sidecarPath, "utf8");
+    } catch (error) {
+      // Only an explicitly named sidecar has to exist
+      if (error.code === "ENOENT" && sidecar === true) return null;
+      throw new InvalidInputError(
+        `Cannot read crop sidecar ${sidecarPath}: ${error.message}`,
+        { filePath: sidecarPath, cause: error }
+      );
+    }
+
+    try {
+      return JSON.parse(content).focal ?? null;
+    } catch (error) {
+      throw new InvalidInputError(
+        `Invalid crop sidecar ${sidecarPath}: ${error.message}`,
+        { filePath: sidecarPath, cause: error }
+      );
+    }
+  }
+
+  /**
+   * Crops a sharp pipeline to the requested aspect ratio, keeping the focal
+   * point or the region the strategy finds most interesting
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline, before resizing
+   * @param {Object} job - Input description
+   * @param {string|Buffer} job.input - Input path or data
+   * @param {import("sharp").Sharp} [job.source] - Already decoded input
+   * @param {string|number|CropOptions} [option] - Crop option
+   * @returns {Promise<{left: number, top: number, width: number, height: number, strategy: string}|null>}
+   * Crop rectangle in input pixels after EXIF rotation
+   */
+  async #applyCrop(image, { input, source }, option) {
+    if (!option) return null;
+
+    const settings = this.#resolveCrop(option);
+    const focal =
+      settings.focal ?? (await this.#readCropSidecar(input, settings));
+
+    // Strategies look at the first frame only
+    const probe = source ? image.clone() : sharp(input).rotate();
+    const metadata = await probe.metadata();
+    const { width: sourceWidth, height: sourceHeight } =
+      ImageProcessor.#orientedSize(metadata);
+
+    const width = Math.max(
+      1,
+      Math.min(sourceWidth, Math.round(sourceHeight * settings.ratio))
+    );
+    const height = Math.max(
+      1,
+      Math.min(sourceHeight, Math.round(width / settings.ratio))
+    );
+    const clamp = (value, max) => Math.min(Math.max(Math.round(value), 0), max);
+
+    let rect;
+    if (focal) {
+      if (!(focal.x >= 0 && focal.x <= 1 && focal.y >= 0 && focal.y <= 1)) {
+        throw new InvalidOptionError("Crop focal point must use fractions between 0 and 1");
+      }
+      rect = {
+        left: clamp(focal.x * sourceWidth - width / 2, sourceWidth - width),
+        top: clamp(focal.y * sourceHeight - height / 2, sourceHeight - height),
+        width,
+        height,
+        strategy: "focal",
+      };
+    } else if (settings.strategy === "centre" || settings.strategy === "center") {
+      rect = {
+        left: clamp((sourceWidth - width) / 2, sourceWidth - width),
+        top: clamp((sourceHeight - height) / 2, sourceHeight - height),
+        width,
+        height,
+        strategy: "centre",
+      };
+    } else {
+      // A cover resize to the crop size itself only crops, and sharp
+      // reports where the strategy placed the window
+      const { info } = await probe
+        .resize({
+          width,
+          height,
+          fit: "cover",
+          position: sharp.strategy[settings.strategy],
+        })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      rect = {
+        left: clamp(-info.cropOffsetLeft, sourceWidth - width),
+        top: clamp(-info.cropOffsetTop, sourceHeight - height),
+        width,
+        height,
+        strategy: settings.strategy,
+      };
+    }
+
+    const { strategy, ...region } = rect;
+    image.extract(region);
+    return rect;
+  }
+
+  /**
+   * Computes placeholders from the pixels a pipeline is about to encode
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline, fully configured
+   * @param {boolean|string[]|PlaceholderOptions} [option] - Placeholders option
+   * @param {number} [frames=1] - Frames stacked in the pipeline; only the first is used
+   * @returns {Promise<Object|null>}
+   */
+  async #computePlaceholders(image, option, frames = 1) {
+    if (!option) return null;
+
+    const settings = Array.isArray(option)
+      ? { kinds: option }
+      : option === true
+      ? {}
+      : option;
+    const { data, info } = await image
+      .clone()
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const height = info.height / frames;
+
+    return placeholdersFromPixels(
+      data.subarray(0, info.width * height * 4),
+      { width: info.width, height },
+      settings
+    );
+  }
+
+  /**
+   * Normalizes the watermark option. A string naming an image file is used
+   * as an image, any other string as text.
+   * @private
+   * @param {string|Buffer|WatermarkOptions} option - Watermark option
+   * @returns {WatermarkOptions}
+   */
+  #resolveWatermark(option) {
+    let settings;
+    if (Buffer.isBuffer(option)) {
+      settings = { image: option };
+    } else if (typeof option === "string") {
+      const isImage = Object.values(ImageProcessor.#FORMAT_MAPPINGS).some(
+        ({ supportedInputs }) =>
+          supportedInputs.includes(path.extname(option).toLowerCase())
+      );
+      settings = isImage ? { image: option } : { text: option };
+    } else {
+      settings = { ...option };
+    }
+
+    settings.gravity = (settings.gravity || "southeast").toLowerCase();
+    settings.opacity ??= 0.5;
+    settings.scale ??= 0.2;
+    settings.offset ??= 16;
+
+    if (!settings.image && !settings.text) {
+      throw new InvalidOptionError("Watermark requires an image or a text");
+    }
+    if (!WATERMARK_GRAVITIES.includes(settings.gravity)) {
+      throw new InvalidOptionError(`Unsupported watermark gravity: ${settings.gravity}`);
+    }
+    if (!(settings.opacity >= 0 && settings.opacity <= 1)) {
+      throw new InvalidOptionError("Watermark opacity must be between 0 and 1");
+    }
+    if (!(settings.scale > 0 && settings.scale <= 1)) {
+      throw new InvalidOptionError("Watermark scale must be greater than 0 and at most 1");
+    }
+    return settings;
+  }
+
+  /**
+   * Composites a watermark over every frame of a sharp pipeline
+   * @private
+   * @param {import("sharp").Sharp} image - Sharp pipeline, already resized
+   * @param {string|Buffer|WatermarkOptions} [option] - Watermark option
+   * @param {number} [frames=1] - Frames stacked in the pipeline
+   */
+  async #applyWatermark(image, option, frames = 1) {
+    if (!option) return;
+
+    const settings = this.#resolveWatermark(option);
+    // Composites are placed on the resized output, so measure it
+    const { info } = await image
+      .clone()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width } = info;
+    const pageHeight = info.height / frames;
+
+    let overlay = await this.#renderWatermark(settings, width, pageHeight);
+    const { x, y } =
+      typeof settings.offset === "number"
+        ? { x: settings.offset, y: settings.offset }
+        : { x: 0, y: 0, ...settings.offset };
+
+    let position;
+    if (settings.tile) {
+      // One page-sized layer, so tiles never spill into the next frame
+      const tiles = [];
+      for (let top = 0; top < pageHeight; top += overlay.height + y) {
+        for (let left = 0; left < width; left += overlay.width + x) {
+          tiles.push({ input: overlay.data, top, left });
+        }
+      }
+      overlay = {
+        data: await sharp({
+          create: {
+            width,
+            height: pageHeight,
+            channels: 4,
+            background: { r: 0, g: 0, b: 0, alpha: 0 },
+          },
+        })
+          .composite(tiles)
+          .png()
+          .toBuffer(),
+      };
+      position = { left: 0, top: 0 };
+    } else {
+      const place = (size, room, offset, start, end) => {
+        const free = room - size;
+        if (settings.gravity.includes(start)) return Math.min(offset, free);
+        if (settings.gravity.includes(end)) return Math.max(free - offset, 0);
+        return Math.round(free / 2);
+      };
+      position = {
+        left: place(overlay.width, width, x, "west", "east"),
+        top: place(overlay.height, pageHeight, y, "north", "south"),
+      };
+    }
+
+    image.composite(
+      Array.from({ length: frames }, (_, page) => ({
+        input: overlay.data,
+        left: position.left,
+        top: position.top + page * pageHeight,
+      }))
+    );
+  }
+
+  /**
+   * Renders the watermark overlay at its final size and opacity
+   * @private
+   * @param {WatermarkOptions} settings - Resolved watermark options
+   * @param {number} width - Output width
+   * @param {number} pageHeight - Output height of one frame
+   * @returns {Promise<{data: Buffer, width: number, height: number}>}
+   */
+  async #renderWatermark(settings, width, pageHeight) {
+    let overlay;
+    if (settings.image) {
+      overlay = sharp(settings.image);
+    } else {
+      const escape = (value) =>
+        String(value).replace(
+          /[&<>"']/g,
+          (char) => `&#${char.charCodeAt(0)};`
+        );
+      const fontSize = 64;
+      // Rendered large on a generous canvas, then trimmed to the glyphs
+      const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${
+          fontSize * (settings.text.length + 1)
+        }" height="${fontSize * 2}">` +
+        `<text x="${fontSize / 2}" y="${fontSize * 1.4}" font-size="${fontSize}" ` +
+        `font-family="${escape(settings.font || "sans-serif")}" ` +
+        `fill="${escape(settings.color || "#ffffff")}">${escape(settings.text)}</text></svg>`;
+      overlay = sharp(Buffer.from(svg)).trim();
+    }
+
+    const sized = await overlay
+      .resize({
+        width: Math.max(1, Math.round(width * settings.scale)),
+        height: Math.max(1, Math.floor(pageHeight)),
+        fit: "inside",
+      })
+      .ensureAlpha()
+      .png()
+      .toBuffer({ resolveWithObject: true });
+
+    const data =
+      settings.opacity < 1
+        ? await sharp(sized.data)
+            .linear([1, 1, 1, settings.opacity], [0, 0, 0, 0])
+            .png()
+            .toBuffer()
+        : sized.data;
+
+    return { data, width: sized.info.width, height: sized.info.height };
+  }
+
+  /**
+   * Predicts the output dimensions of a resize
+   * @private
+   * @param {{width: number, height: number}} source - Source dimensions
+   * @param {Object} options - Resize options
+   * @returns {{width: number, height: number}}
+   */
+  #resolveDimensions(source, { width, height, fit, withoutEnlargement }) {
+    let targetWidth = width;
+    let targetHeight = height;
+
+    if (!width && !height) {
+      return { ...source };
+    } else if (!height) {
+      targetHeight = Math.round((source.height * width) / source.width);
+    } else if (!width) {
+      targetWidth = Math.round((source.width * height) / source.height);
+    } else if (fit === "inside" || fit === "outside") {
+      const pick = fit === "inside" ? Math.min : Math.max;
+      const scale = pick(width / source.width, height / source.height);
+      targetWidth = Math.round(source.width * scale);
+      targetHeight = Math.round(source.height * scale);
+    }
+
+    if (
+      withoutEnlargement &&
+      (targetWidth > source.width || targetHeight > source.height)
+    ) {
+      const scale = Math.min(
+        source.width / targetWidth,
+        source.height / targetHeight
+      );
+      targetWidth = Math.round(targetWidth * scale);
+      targetHeight = Math.round(targetHeight * scale);
+    }
+
+    return { width: targetWidth, height: targetHeight };
+  }
+
+  /**
+   * Validates file existence and permissions
+   * @private
+   * @param {string} filePath - Path to file
+   * @throws {InvalidInputError}
+   */
+  async #validateFile(filePath) {
+    try {
+      await fs.access(filePath, fs.constants.R_OK);
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) {
+        throw new Error("Path is not a file");
+      }
+    } catch (error) {
+      throw new InvalidInputError(`Invalid file path: ${error.message}`, {
+        filePath,
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Validates format compatibility
+   * @private
+   * @param {string} inputPath - Input file path
+   * @param {string} format - Target format
+   */
+  #validateFormat(inputPath, format, candidates) {
+    return this.#validateConversion(
+      path.extname(inputPath).toLowerCase(),
+      format,
+      candidates,
+      inputPath
+    );
+  }
+
+  /**
+   * Picks the format an input is re-encoded in by inPlace
+   * @private
+   * @param {string} inputPath - Input file path
+   * @param {string} [format] - Requested format; must be the input's own
+   * @returns {{format: string, formatConfig: Object}}
+   * @throws {UnsupportedFormatError|InvalidOptionError}
+   */
+  #resolveInPlaceFormat(inputPath, format) {
+    const inputFormat = ImageProcessor.#formatName(path.extname(inputPath));
+
+    if (!ImageProcessor.#IN_PLACE_FORMATS.includes(inputFormat)) {
+      throw new UnsupportedFormatError(
+        `Cannot optimize ${path.extname(inputPath) || inputPath} files in place`,
+        { filePath: inputPath }
+      );
+    }
+    if (format && ImageProcessor.#formatName(format) !== inputFormat) {
+      throw new InvalidOptionError(
+        `inPlace keeps the input format: cannot write ${inputFormat} as ${format}`,
+        { filePath: inputPath }
+      );
+    }
+
+    return {
+      format: inputFormat,
+      formatConfig: ImageProcessor.#FORMAT_MAPPINGS[inputFormat],
+    };
+  }
+
+  /**
+   * Describes the inputs processFolder optimizes in place: those of the
+   * given format, or of any format inPlace supports
+   * @private
+   * @param {string} [format] - Format to restrict the batch to
+   * @returns {{supportedInputs: string[]}|null}
+   */
+  #inPlaceFormatConfig(format) {
+    const formats = format
+      ? [ImageProcessor.#formatName(format)]
+      : ImageProcessor.#IN_PLACE_FORMATS;
+    if (!formats.every((name) => ImageProcessor.#IN_PLACE_FORMATS.includes(name))) {
+      return null;
+    }
+
+    // Every extension whose format is one of them (".jpg" and ".jpeg", ...)
+    const supportedInputs = [
+      ...new Set(
+        Object.values(ImageProcessor.#FORMAT_MAPPINGS).flatMap(
+          ({ supportedInputs }) => supportedInputs
+        )
+      ),
+    ].filter((extension) => formats.includes(ImageProcessor.#formatName(extension)));
+    return { supportedInputs };
+  }
+
+  /**
+   * Validates that an input extension can be converted to a format
+   * @private
+   * @param {string} inputExt - Input extension (with the leading dot)
+   * @param {string} format - Target format
+   * @param {string[]} [candidates] - Candidate formats for "auto"
+   * @param {string} [filePath] - Input the conversion is for
+   * @throws {UnsupportedFormatError}
+   */
+  #validateConversion(inputExt, format, candidates, filePath) {
+    const formatConfig = this.#resolveFormatConfig(format, candidates);
+
+    if (!formatConfig) {
+      throw new UnsupportedFormatError(`Unsupported output format: ${format}`, {
+        filePath,
+      });
+    }
+
+    // Re-encoding in the input's own format is allowed, as with inPlace
+    const formatName = ImageProcessor.#formatName(format);
+    const sameFormat =
+      ImageProcessor.#formatName(inputExt) === formatName &&
+      ImageProcessor.#IN_PLACE_FORMATS.includes(formatName);
+    if (!sameFormat && !formatConfig.supportedInputs.includes(inputExt)) {
+      throw new UnsupportedFormatError(
+        `Cannot convert ${inputExt} to ${format}. Supported input formats: ${formatConfig.supportedInputs.join(
+          ", "
+        )}`,
+        { filePath }
+      );
+    }
+
+    return formatConfig;
+  }
+
+  /**
+   * Looks up a format mapping. "auto" resolves to a virtual mapping accepting
+   * any input one of its candidates accepts; its extension is decided later.
+   * @private
+   * @param {string} format - Target format
+   * @param {string[]} [candidates] - Candidate formats for "auto"
+   * @returns {Object|undefined}
+   */
+  #resolveFormatConfig(format, candidates = ImageProcessor.#AUTO_CANDIDATES) {
+    if (typeof format !== "string") return undefined;
+    if (format.toLowerCase() !== "auto") {
+      return ImageProcessor.#FORMAT_MAPPINGS[format.toLowerCase()];
+    }
+
+    const configs = candidates.map(
+      (candidate) => ImageProcessor.#FORMAT_MAPPINGS[candidate.toLowerCase()]
+    );
+    if (configs.some((config) => !config)) return undefined;
+
+    return {
+      supportedInputs: [
+        ...new Set(configs.flatMap((config) => config.supportedInputs)),
+      ],
+      extension: "",
+      options: {},
+    };
+  }
+
+  /**
+   * Collects supported image files below a folder
+   * @private
+   * @param {string} root - Folder to scan
+   * @param {string[]} supportedInputs - Accepted file extensions
+   * @param {Object} walkOptions - Traversal options
+   * @param {string[]} [walkOptions.unsupported] - Receives files skipped for their extension
+   * @returns {Promise<string[]>} File paths relative to root
+   */
+  async #collectFiles(root, supportedInputs, walkOptions) {
+    const {
+      recursive = false,
+      maxDepth = Infinity,
+      skipSymlinks = false,
+      skipHidden = false,
+      exclude = null,
+      unsupported = null,
+    } = walkOptions;
+    const excluded = exclude ? path.resolve(exclude) : null;
+    const visited = new Set();
+    const files = [];
+
+    const walk = async (dir, depth) => {
+      // Guard against symlink cycles
+      const realDir = await fs.realpath(dir);
+      if (visited.has(realDir)) return;
+      visited.add(realDir);
+
+      // Sorted so batch results come back in the same order on every platform
+      const entries = (await fs.readdir(dir, { withFileTypes: true })).sort(
+        (a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+      );
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+
+        if (entry.isSymbolicLink() && skipSymlinks) continue;
+
+        const stats = entry.isSymbolicLink()
+          ? await fs.stat(entryPath).catch(() => null)
+          : entry;
+        if (!stats) continue;
+
+        if (stats.isDirectory()) {
+          if (!recursive || depth >= maxDepth) continue;
+          if (skipHidden && entry.name.startsWith(".")) continue;
+          if (excluded && path.resolve(entryPath) === excluded) continue;
+          await walk(entryPath, depth + 1);
+        } else if (stats.isFile()) {
+          if (supportedInputs.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(path.relative(root, entryPath));
+          } else {
+            unsupported?.push(path.relative(root, entryPath));
+          }
+        }
+      }
+    };
+
+    await walk(root, 0);
+    return files;
+  }
+
+  /**
+   * Runs a worker over every item with at most `concurrency` in flight
+   * @private
+   * @param {Array} items - Work items
+   * @param {number} concurrency - Maximum parallel workers
+   * @param {Function} worker - Async function called with (item, index)
+   * @param {AbortSignal} [signal] - Stops handing out items once aborted
+   */
+  async #runPool(items, concurrency, worker, signal = null) {
+    const size = Math.max(1, Math.min(Math.floor(concurrency) || 1, items.length));
+    let next = 0;
+
+    const consume = async () => {
+      while (next < items.length && !signal?.aborted) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: size }, consume));
+  }
+
+  /**
+   * Default batch concurrency: one conversion per available core
+   * @private
+   */
+  static #defaultConcurrency() {
+    return typeof os.availableParallelism === "function"
+      ? os.availableParallelism()
+      : os.cpus().length;
+  }
+
+    /**
+   * get format
+   * @public
+   * @param {string} format - Target format
+   */
+  getFormt(format) {
+    const formatConfig = this.#resolveFormatConfig(format);
+    return formatConfig;
+  }
+
+  /**
+   * Generates standardized processing result
+   * @private
+   * @param {Object} output - inputPath, outputPath, formats, dimensions, sizes, durationMs and encoderOptions
+   * @param {Object} [details] - Extra statistics (search results, metadata, ...)
+   * @returns {ProcessingResult}
+   */
+  #generateResult(output, details = {}) {
+    const { inputSize, outputSize, width, height } = output;
+    const savedSize = inputSize - outputSize;
+    const savingPercent = Number(((savedSize / inputSize) * 100).toFixed(1));
+    const encoderOptions = Object.fromEntries(
+      Object.entries(output.encoderOptions ?? {}).filter(
+        ([, value]) => value !== undefined
+      )
+    );
+
+    const result = {
+      success: true,
+      ...output,
+      savedSize,
+      savingPercent,
+      encoderOptions,
+      stats: {
+        inputSize,
+        outputSize,
+        savedSize,
+        savingPercent:
+          savedSize < 0
+            ? `+${Math.abs(savingPercent).toFixed(1)}`
+            : `-${savingPercent.toFixed(1)}`,
+        width,
+        height,
+        ...details,
+      },
+    };
+    result.message = this.#formatResultMessage(result);
+    return result;
+  }
+
+  /**
+   * Generates a dry-run result describing a planned operation
+   * @private
+   */
+  #generatePlan(plan) {
+    const fileName = path.basename(plan.input);
+    let message;
+
+    if (plan.action === "skip") {
+      message = `⏭️ Would skip - ${fileName} (${plan.reason})`;
+    } else {
+      const notes = [];
+      if (plan.overwrite) notes.push("overwrites existing file");
+      if (plan.removeInput) notes.push("deletes original");
+      if (plan.estimatedSize !== undefined) {
+        notes.push(`~${(plan.estimatedSize / 1024).toFixed(2)}KB`);
+      }
+      message = `🔍 Would convert - ${fileName} → ${plan.output}${
+        notes.length ? ` (${notes.join(", ")})` : ""
+      }`;
+    }
+
+    return {
+      success: true,
+      dryRun: true,
+      message,
+      plan: Object.fromEntries(
+        Object.entries(plan).filter(([, value]) => value !== undefined)
+      ),
+    };
+  }
+
+  /**
+   * Formats result message
+   * @private
+   * @param {ProcessingResult} result - Result data
+   * @returns {string}
+   */
+  #formatResultMessage({ status, inputPath, inputSize, outputSize, savingPercent, stats }) {
+    const name = inputPath ? path.basename(inputPath) : "buffer";
+
+    if (status === "original" || status === "skipped") {
+      return `${
+        status === "original" ? "↩️ Original kept" : "⏭️ Not converted"
+      } - ${name}
+    Original: ${(inputSize / 1024).toFixed(2)}KB
+    Converted: ${(stats.convertedSize / 1024).toFixed(2)}KB (discarded)`;
+    }
+
+    const prefix =
+      outputSize > inputSize
+        ? "⚠️ Size increased"
+        : status === "unimproved"
+        ? `⚠️ Saving below ${stats.minSaving}%`
+        : "✅ Size reduced";
+    return `${prefix} - ${name}
+    Original: ${(inputSize / 1024).toFixed(2)}KB
+    New: ${(outputSize / 1024).toFixed(2)}KB
+    Change: ${outputSize > inputSize ? "+" : "-"}${Math.abs(savingPercent).toFixed(1)}%`;
+  }
+
+  /**
+   * Names the format of a file extension the way format options do
+   * @private
+   * @param {string} extension - Extension with or without the leading dot
+   * @returns {string} e.g. "jpeg" for ".jpg"
+   */
+  static #formatName(extension) {
+    const name = String(extension).replace(/^\./, "").toLowerCase();
+    return { jpg: "jpeg", tif: "tiff" }[name] ?? name;
+  }
+
+  /**
+   * Enhances error with context
+   * @private
+   */
+  #enhanceError(error, filePath) {
+    const ErrorClass = error instanceof CrushifyError ? error.constructor : CrushifyError;
+    const enhancedError = new ErrorClass(
+      `Processing failed for ${filePath}: ${error.message}`,
+      { filePath, cause: error }
+    );
+    enhancedError.originalError = error;
+    return enhancedError;
+  }
+
+  /**
+   * Reads the input's header
+   * @private
+   * @param {string|Buffer} input - Input path or data
+   * @returns {Promise<import("sharp").Metadata>}
+   * @throws {DecodeError} When sharp cannot identify the input
+   */
+  static async #probeInput(input) {
+    try {
+      return await sharp(input).metadata();
+    } catch (error) {
+      throw new DecodeError(error.message, { cause: error });
+    }
+  }
+
+  /**
+   * Types a failure by the stage it happened in. Decoding is lazy, so a
+   * corrupt input only fails once pixels are needed: a failure is a
+   * DecodeError whenever the input does not decode on its own either.
+   * @private
+   * @param {Error} error - Failure
+   * @param {string|Buffer|import("sharp").Sharp} input - Input path or data, or the decoded source
+   * @param {typeof CrushifyError} StageError - Class for failures of an input that decodes
+   * @returns {Promise<CrushifyError>}
+   */
+  static async #stageError(error, input, StageError) {
+    // Typed errors other than "no encoding fits" already name their cause
+    if (error instanceof CrushifyError && !(error instanceof EncodeError)) {
+      return error;
+    }
+
+    const decodes = await (typeof input === "object" && !Buffer.isBuffer(input)
+      ? input.clone()
+      : sharp(input, { animated: true })
+    )
+      .raw()
+      .toBuffer()
+      .then(
+        () => true,
+        () => false
+      );
+
+    if (!decodes) return new DecodeError(error.message, { cause: error });
+    if (error instanceof CrushifyError) return error;
+    return new StageError(error.message, { cause: error });
+  }
+
+  /**
+   * Creates an output folder
+   * @private
+   * @param {string} folder - Folder path
+   * @throws {OutputWriteError} When the folder cannot be created
+   */
+  static async #ensureFolder(folder) {
+    try {
+      await fs.mkdir(folder, { recursive: true });
+    } catch (error) {
+      throw new OutputWriteError(
+        `Cannot create output folder ${folder}: ${error.message}`,
+        { filePath: folder, cause: error }
+      );
+    }
+  }
+
+  /**
+   * Event handlers
+   * @private
+   */
+  #handleError(error) {
+    console.error("Processing error:", error);
+  }
+
+  #handleProcessingStart() {
+    this.#stats.startTime = Date.now();
+  }
+
+  #handleProcessingComplete() {
+    this.#stats.endTime = Date.now();
+  }
+
+  /**
+   * Process a single image file
+   * @public
+   * @param {Object} options - Processing options
+   * @param {string} options.input - Input file path
+   * @param {string} options.output - Output file path (optional)
+   * @param {string} [options.dest] - Output folder, when output is not set
+   * @param {string} options.format - Target format (png, webp, jpeg, avif); optional when the project configuration gives one
+   * @param {ProcessingOptions} [options.processingOptions] - Processing options; they take precedence over the project configuration
+   * @param {boolean|string|Object} [options.config] - Project configuration for this call, see the constructor
+   * @param {boolean} [options.dryRun] - Only report what would happen; nothing is written
+   * @param {boolean} [options.estimate] - With dryRun, encode in memory to estimate the output size
+   * @param {AbortSignal} [options.signal] - Cancels the conversion; rejects with the signal's reason and writes nothing
+   * @param {boolean} [options.inPlace] - Re-encode the input in its own format and replace it (format is optional; ifLarger defaults to "skip")
+   * @returns {Promise<ProcessingResult>}
+   */
+  async processFile(options) {
+    const {
+      input,
+      dryRun = false,
+      estimate = false,
+      signal,
+      inPlace = false,
+    } = options;
+
+    this.emit("processing:start");
+
+    try {
+      signal?.throwIfAborted();
+      // Call options, then the rules matching the input, then the configuration's defaults
+      const project = await this.#projectConfig(options.config);
+      const configured = project
+        ? configFor(project, input)
+        : { processingOptions: {} };
+      const processingOptions = {
+        ...configured.processingOptions,
+        ...options.processingOptions,
+      };
+      let format = options.format ?? (inPlace ? undefined : configured.format);
+
+      let formatConfig;
+      if (inPlace) {
+        ({ format, formatConfig } = this.#resolveInPlaceFormat(input, format));
+        if (options.output && path.resolve(options.output) !== path.resolve(input)) {
+          throw new InvalidOptionError("inPlace replaces the input; output cannot be set", {
+            filePath: input,
+          });
+        }
+      } else {
+        if (!format) {
+          throw new InvalidOptionError(
+            `No format for ${input}: pass one or set it in the project configuration`,
+            { filePath: input }
+          );
+        }
+        formatConfig = this.#validateFormat(
+          input,
+          format,
+          processingOptions.candidates
+        );
+      }
+
+      // Determine output path
+      const fileName = `${path.basename(input, path.extname(input))}${
+        formatConfig.extension
+      }`;
+      let output;
+      if (inPlace) {
+        output = input;
+      } else if (options.output) {
+        output = options.output;
+      } else if (options.dest) {
+        output = path.join(options.dest, fileName);
+      } else if (project?.dest) {
+        // Mirror the input's folders below the configuration's root
+        const relativeDir = path.relative(project.root, path.dirname(path.resolve(input)));
+        output =
+          relativeDir.startsWith("..") || path.isAbsolute(relativeDir)
+            ? path.join(project.dest, fileName)
+            : path.join(project.dest, relativeDir, fileName);
+      } else {
+        output = path.join(path.dirname(input), fileName);
+      }
+
+      const mergedOptions = this.#mergeOptions(
+        formatConfig,
+        format,
+        // Re-encoding an optimized asset rarely helps; keep it unless it does
+        inPlace ? { ifLarger: "skip", ...processingOptions } : processingOptions
+      );
+
+      if (dryRun) {
+        const plan = await this.#planImage(input, output, mergedOptions, estimate);
+        this.emit("processing:complete");
+        return plan;
+      }
+
+      // Ensure output directory exists
+      await ImageProcessor.#ensureFolder(path.dirname(output));
+
+      const result = await this.#processImage(
+        input,
+        output,
+        mergedOptions,
+        null,
+        signal
+      );
+
+      this.emit("processing:complete");
+      return result;
+    } catch (error) {
+      if (!ImageProcessor.#isCancellation(error, signal)) this.emit("error", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process an image held in memory
+   * @public
+   * @param {Buffer} buffer - Encoded input image
+   * @param {Object} options - Processing options
+   * @param {string} options.format - Target format (png, webp, jpeg, avif, auto)
+   * @param {ProcessingOptions} [options.processingOptions] - Processing options
+   * @param {AbortSignal} [options.signal] - Cancels the conversion; rejects with the signal's reason
+   * @returns {Promise<{data: Buffer, info: Object, stats: Object, status: string, inputFormat: string, outputFormat: string, durationMs: number, encoderOptions: Object}>}
+   * Encoded output, sharp output info (plus mimeType and extension), processing statistics, "improved" or "unimproved", formats, timing and encoder options
+   */
+  async processBuffer(buffer, options = {}) {
+    const { format, processingOptions = {}, signal } = options;
+    const startTime = Date.now();
+
+    this.emit("processing:start");
+
+    try {
+      signal?.throwIfAborted();
+      // Buffers have no path for a project configuration to give a format
+      if (typeof format !== "string" || !format) {
+        throw new InvalidOptionError("No format: processBuffer needs one");
+      }
+      const inputExt = await this.#detectInputExtension(buffer);
+      const formatConfig = this.#validateConversion(
+        inputExt,
+        format,
+        processingOptions.candidates
+      );
+      const { pipeline, encoder } = this.#splitOptions(
+        this.#mergeOptions(formatConfig, format, processingOptions)
+      );
+      // There is no file to keep or skip, so ifLarger does not apply
+      const { minSaving } = this.#resolveIfLarger(pipeline);
+
+      let output;
+      try {
+        output = await this.#transform(
+          { input: buffer, inputExt, format: format.toLowerCase() },
+          pipeline,
+          encoder
+        );
+      } catch (error) {
+        if (ImageProcessor.#isCancellation(error, signal)) throw error;
+        this.#stats.failed++;
+        throw this.#enhanceError(error, "buffer");
+      }
+      signal?.throwIfAborted();
+
+      const { data, info, search } = output;
+      const outputFormat = search?.format ?? format.toLowerCase();
+      const outputConfig = ImageProcessor.#FORMAT_MAPPINGS[outputFormat];
+      const status = ImageProcessor.#isImproved(buffer.length, data.length, minSaving)
+        ? "improved"
+        : "unimproved";
+      const { stats, inputFormat, durationMs, encoderOptions } = this.#generateResult(
+        {
+          status,
+          inputFormat: ImageProcessor.#formatName(inputExt),
+          outputFormat,
+          width: info.width,
+          height: info.pageHeight ?? info.height,
+          inputSize: buffer.length,
+          outputSize: data.length,
+          durationMs: Date.now() - startTime,
+          encoderOptions: output.options,
+        },
+        {
+          ...search,
+          metadata: await this.#describeMetadata(data, pipeline.metadata),
+          ...(status === "unimproved" && { minSaving }),
+        }
+      );
+
+      this.#stats.processed++;
+      if (status === "improved") this.#stats.improved++;
+      this.#stats.totalSaved += stats.savedSize;
+
+      this.emit("processing:complete");
+      return {
+        data,
+        info: {
+          ...info,
+          mimeType: outputConfig.mimeType,
+          extension: outputConfig.extension,
+        },
+        stats,
+        status,
+        inputFormat,
+        outputFormat,
+        durationMs,
+        encoderOptions,
+      };
+    } catch (error) {
+      if (!ImageProcessor.#isCancellation(error, signal)) this.emit("error", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a Transform stream that converts the image piped through it.
+   * The whole input is buffered, converted with processBuffer and written
+   * out once the input ends; the stream emits "info" with {info, stats}.
+   * @public
+   * @param {Object} options - Same options as processBuffer
+   * @param {string} options.format - Target format (png, webp, jpeg, avif, auto)
+   * @param {ProcessingOptions} [options.processingOptions] - Processing options
+   * @returns {Transform}
+   */
+  createTransformStream(options = {}) {
+    const chunks = [];
+    const processor = this;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      flush(callback) {
+        processor
+          .processBuffer(Buffer.concat(chunks), options)
+          .then(({ data, info, stats }) => {
+            this.emit("info", { info, stats });
+            callback(null, data);
+          }, callback);
+      },
+    });
+  }
+
+  /**
+   * Identifies the format of an in-memory image from its content
+   * @private
+   * @param {Buffer} buffer - Encoded image
+   * @returns {Promise<string>} Matching input extension (e.g. ".png")
+   */
+  async #detectInputExtension(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new InvalidInputError("Input must be a non-empty Buffer");
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new DecodeError(`Unrecognized image data: ${error.message}`, {
+        cause: error,
+      });
+    }
+
+    // sharp reports AVIF as its HEIF container
+    return { jpeg: ".jpg", heif: ".avif" }[metadata.format] ?? `.${metadata.format}`;
+  }
+
+  /**
+   * Process a folder of images
+   * @public
+   * @param {Object} options - Processing options
+   * @param {string} options.folder - Input folder path
+   * @param {string} options.dest - Output folder path (ignored with inPlace; defaults to the project configuration's dest)
+   * @param {string} options.format - Target format (png, webp, jpeg, avif); with inPlace, only inputs already in it (optional).
+   * Without it, each file gets the format its project configuration rules give it, and files given none are skipped.
+   * @param {ProcessingOptions} [options.processingOptions] - Processing options; they take precedence over the project configuration
+   * @param {boolean|string|Object} [options.config] - Project configuration for this batch, see the constructor
+   * @param {boolean} [options.inPlace] - Re-encode every image in its own format and replace it, see processFile
+   * @param {boolean} [options.recursive] - Descend into subfolders, mirroring them under dest
+   * @param {number} [options.maxDepth] - Maximum subfolder depth when recursive (0 = top level only)
+   * @param {boolean} [options.skipSymlinks] - Ignore symbolic links
+   * @param {boolean} [options.skipHidden] - Ignore hidden (dot) directories
+   * @param {number} [options.concurrency] - Files converted in parallel (defaults to the core count)
+   * @param {boolean} [options.dryRun] - Only report what would happen, including unsupported files; nothing is written
+   * @param {boolean} [options.estimate] - With dryRun, encode in memory to estimate output sizes
+   * @param {string|boolean} [options.manifest] - Where the placeholders manifest is written (defaults to placeholders.json in dest; false to skip)
+   * @param {string} [options.report] - Write a per-file report to this .json, .csv or .html path (ignored for dry runs)
+   * @param {AbortSignal} [options.signal] - Stops scheduling files; the results gathered so far are returned
+   * @param {Function} [progressCallback] - Progress callback
+   * @returns {Promise<ProcessingResult[] & {aborted: boolean}>}
+   * Results in file order; aborted is true when the signal stopped the batch
+   */
+  async processFolder(options, progressCallback = null) {
+    const {
+      folder,
+      format,
+      recursive = false,
+      concurrency = ImageProcessor.#defaultConcurrency(),
+      dryRun = false,
+      estimate = false,
+      signal,
+      inPlace = false,
+    } = options;
+
+    const project = await this.#projectConfig(options.config);
+    const dest = inPlace ? folder : options.dest || project?.dest;
+    // Without a format, every input a rule may convert is collected first
+    const configuredFormats = !inPlace && !format && project !== null;
+
+    const formatConfig = inPlace
+      ? this.#inPlaceFormatConfig(format)
+      : configuredFormats
+      ? {
+          supportedInputs: [
+            ...new Set(
+              Object.values(ImageProcessor.#FORMAT_MAPPINGS).flatMap(
+                ({ supportedInputs }) => supportedInputs
+              )
+            ),
+          ],
+        }
+      : format &&
+        this.#resolveFormatConfig(format, options.processingOptions?.candidates);
+
+    if (!format && !inPlace && !project) {
+      throw new InvalidOptionError(
+        "No format: pass one or set it in the project configuration"
+      );
+    }
+    if (!formatConfig) {
+      throw new UnsupportedFormatError(`Unsupported format: ${format}`);
+    }
+    if (!dest) {
+      throw new InvalidOptionError(
+        "No output folder: pass dest or set it in the project configuration"
+      );
+    }
+
+    this.emit("processing:start");
+
+    try {
+      if (!dryRun) {
+        await ImageProcessor.#ensureFolder(dest);
+      }
+      const unsupported = dryRun ? [] : null;
+      let imageFiles = await this.#collectFiles(
+        folder,
+        formatConfig.supportedInputs,
+        {
+          recursive,
+          maxDepth: options.maxDepth,
+          skipSymlinks: options.skipSymlinks,
+          skipHidden: options.skipHidden,
+          exclude: dest,
+          unsupported,
+        }
+      );
+
+      const targets = new Map();
+      if (configuredFormats) {
+        imageFiles = imageFiles.filter((file) => {
+          const target = this.#configuredFormat(
+            project,
+            path.join(folder, file),
+            options.processingOptions?.candidates
+          );
+          if (target) targets.set(file, target);
+          else unsupported?.push(file);
+          return target !== null;
+        });
+      }
+
+      // One persistent index for the whole batch, at the root of dest
+      const processingOptions =
+        (options.processingOptions?.persistentCache ??
+          project?.defaults.persistentCache) === true
+          ? {
+              ...options.processingOptions,
+              persistentCache: path.join(dest, ContentCache.FILE_NAME),
+            }
+          : options.processingOptions;
+
+      let results = new Array(imageFiles.length);
+      let reportRows = new Array(imageFiles.length);
+      let completed = 0;
+
+      await this.#runPool(
+        imageFiles,
+        concurrency,
+        async (file, index) => {
+          const input = path.join(folder, file);
+          const target = targets.get(file) ?? { format, formatConfig };
+          const output = inPlace
+            ? input
+            : path.join(
+                dest,
+                path.dirname(file),
+                `${path.basename(file, path.extname(file))}${target.formatConfig.extension}`
+              );
+
+          const startTime = Date.now();
+          let result;
+          try {
+            result = await this.processFile({
+              input,
+              output,
+              format: target.format,
+              processingOptions,
+              config: options.config,
+              dryRun,
+              estimate,
+              signal,
+              inPlace,
+            });
+
+            results[index] = { ...result, relativePath: file };
+          } catch (error) {
+            // Files interrupted by an abort are left out of the results
+            if (ImageProcessor.#isCancellation(error, signal)) return;
+            result = {
+              success: false,
+              status: "failed",
+              message: error.message,
+              relativePath: file,
+              error,
+            };
+            results[index] = result;
+          }
+          reportRows[index] = this.#reportRow(
+            input,
+            result,
+            Date.now() - startTime
+          );
+
+          completed++;
           if (progressCallback) {
             progressCallback({
               file,
-              progress: ((index + 1) / imageFiles.length) * 100,
+              progress: (completed / imageFiles.length) * 100,
               result,
             });
           }
-        } catch (error) {
+        },
+        signal
+      );
+
+      const aborted = Boolean(signal?.aborted);
+      if (aborted) {
+        results = results.filter(Boolean);
+        reportRows = reportRows.filter(Boolean);
+      }
+
+      await this.#flushContentCaches();
+
+      // Placeholders may also be enabled by the project configuration
+      const placeholders =
+        processingOptions?.placeholders ||
+        results.some((result) => result.stats?.placeholders);
+      if (placeholders && !dryRun && options.manifest !== false) {
+        await this.#writePlaceholderManifest(
+          typeof options.manifest === "string"
+            ? options.manifest
+            : path.join(dest, ImageProcessor.#PLACEHOLDER_MANIFEST),
+          results
+        );
+      }
+
+      if (options.report && !dryRun) {
+        await writeReport(options.report, reportRows);
+      }
+
+      if (dryRun) {
+        for (const file of unsupported) {
           results.push({
-            success: false,
-            message: error.message,
-            error,
+            ...this.#generatePlan({
+              action: "skip",
+              reason: "unsupported",
+              input: path.join(folder, file),
+            }),
+            relativePath: file,
           });
         }
       }
 
+      results.aborted = aborted;
       this.emit("processing:complete");
       return results;
     } catch (error) {
@@ -502,6 +2903,400 @@ class ImageProcessor extends EventEmitter {
     }
   }
 
+  /**
+   * Describes one file of a batch for the report
+   * @private
+   * @param {string} input - Input path
+   * @param {ProcessingResult} result - Result, or failure, of the file
+   * @param {number} durationMs - Time spent on the file, cache lookups included
+   * @returns {Object} Report row
+   */
+  #reportRow(input, result, durationMs) {
+    return {
+      input,
+      output: result.outputPath,
+      status: result.success ? result.status : "failed",
+      inputFormat: result.inputFormat ?? ImageProcessor.#formatName(path.extname(input)),
+      outputFormat: result.outputFormat,
+      width: result.width,
+      height: result.height,
+      inputSize: result.inputSize,
+      outputSize: result.outputSize,
+      savedSize: result.savedSize,
+      savingPercent: result.savingPercent,
+      durationMs,
+      error: result.success ? undefined : result.message,
+    };
+  }
+
+  /**
+   * Writes the placeholders of a batch as JSON, keyed by input path relative
+   * to the batch folder
+   * @private
+   * @param {string} manifestPath - Manifest file path
+   * @param {ProcessingResult[]} results - Batch results
+   */
+  async #writePlaceholderManifest(manifestPath, results) {
+    const manifest = {};
+    for (const { success, relativePath, stats } of results) {
+      if (!success || !stats?.placeholders) continue;
+      manifest[relativePath.split(path.sep).join("/")] = {
+        width: stats.width,
+        height: stats.height,
+        ...stats.placeholders,
+      };
+    }
+
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  }
+
+  /**
+   * Watch a folder and convert images as they are added or modified
+   * @public
+   * @param {Object} options - Watch options
+   * @param {string} options.folder - Folder to watch
+   * @param {string} options.dest - Output folder path
+   * @param {string} options.format - Target format (png, webp, jpeg, avif, auto)
+   * @param {ProcessingOptions} [options.processingOptions] - Processing options
+   * @param {boolean} [options.recursive] - Also watch subfolders, mirroring them under dest
+   * @param {number} [options.debounce] - Milliseconds a file must stay unchanged before it is converted
+   * @param {boolean|string|Object} [options.config] - Project configuration whose rules set each file's options, see the constructor
+   * @returns {{close: Function}} Handle that stops watching
+   */
+  watchFolder(options) {
+    const {
+      folder,
+      dest,
+      format,
+      processingOptions = {},
+      recursive = false,
+      debounce = 300,
+      config,
+    } = options;
+
+    if (!format) {
+      throw new InvalidOptionError("No format: watchFolder needs one");
+    }
+    const formatConfig = this.#resolveFormatConfig(
+      format,
+      processingOptions.candidates
+    );
+
+    if (!formatConfig) {
+      throw new UnsupportedFormatError(`Unsupported format: ${format}`);
+    }
+
+    const destRoot = path.resolve(dest);
+    const timers = new Map();
+    const outputs = new Set();
+
+    const isOwnOutput = (absolutePath) =>
+      outputs.has(absolutePath) ||
+      (destRoot !== path.resolve(folder) &&
+        absolutePath.startsWith(destRoot + path.sep));
+
+    // A file is converted once two checks `debounce` ms apart see the same
+    // size and mtime, so exports still being written are left alone
+    const settle = (file, absolutePath, previous = null) => {
+      timers.set(
+        absolutePath,
+        setTimeout(async () => {
+          timers.delete(absolutePath);
+          if (isOwnOutput(absolutePath)) return;
+
+          const stats = await fs.stat(absolutePath).catch(() => null);
+          if (!stats || !stats.isFile()) return;
+
+          const snapshot = `${stats.size}:${stats.mtimeMs}`;
+          if (snapshot !== previous) {
+            settle(file, absolutePath, snapshot);
+            return;
+          }
+
+          await this.#processWatched(file, absolutePath, {
+            dest,
+            format,
+            formatConfig,
+            processingOptions,
+            config,
+            outputs,
+          });
+        }, debounce)
+      );
+    };
+
+    const watcher = watchFs(folder, { recursive }, (eventType, fileName) => {
+      if (!fileName) return;
+
+      const file = fileName.toString();
+      const absolutePath = path.resolve(folder, file);
+      const ext = path.extname(file).toLowerCase();
+
+      if (!formatConfig.supportedInputs.includes(ext)) return;
+      if (isOwnOutput(absolutePath)) return;
+
+      // Only the first event of a burst is reported
+      if (timers.has(absolutePath)) {
+        clearTimeout(timers.get(absolutePath));
+      } else {
+        this.emit("watch:change", { file, eventType });
+      }
+      settle(file, absolutePath);
+    });
+
+    watcher.on("error", (error) => {
+      this.emit("watch:error", { file: null, error });
+    });
+
+    this.emit("watch:ready", { folder, dest, format });
+
+    return {
+      close: () => {
+        watcher.close();
+        for (const timer of timers.values()) clearTimeout(timer);
+        timers.clear();
+        this.emit("watch:close", { folder });
+      },
+    };
+  }
+
+  /**
+   * Converts one file reported by watchFolder
+   * @private
+   * @param {string} file - Path relative to the watched folder
+   * @param {string} absolutePath - Absolute input path
+   * @param {Object} context - Watch settings and the set of produced outputs
+   */
+  async #processWatched(file, absolutePath, context) {
+    const { dest, format, formatConfig, processingOptions, config, outputs } = context;
+    const output = path.join(
+      dest,
+      path.dirname(file),
+      `${path.basename(file, path.extname(file))}${formatConfig.extension}`
+    );
+
+    // Register the output before writing so its own change event is ignored
+    const expected =
+      format === "auto"
+        ? (processingOptions.candidates || ImageProcessor.#AUTO_CANDIDATES).map(
+            (candidate) =>
+              `${output}${ImageProcessor.#FORMAT_MAPPINGS[candidate].extension}`
+          )
+        : [output];
+    for (const outputPath of expected) outputs.add(path.resolve(outputPath));
+
+    // A modified file keeps its path, so drop results cached for it
+    for (const key of this.#cache.keys()) {
+      if (key.startsWith(`${absolutePath}:`)) {
+        this.#cache.delete(key);
+      }
+    }
+
+    try {
+      const result = await this.processFile({
+        input: absolutePath,
+        output,
+        format,
+        processingOptions,
+        config,
+      });
+      this.emit("watch:processed", { file, result });
+    } catch (error) {
+      this.emit("watch:error", { file, error });
+    }
+  }
+
+  /**
+   * Generate responsive variants of an image in several widths and formats
+   * @public
+   * @param {Object} options - Responsive set options
+   * @param {string} options.input - Input file path
+   * @param {string} options.dest - Output folder path
+   * @param {number[]} [options.widths] - Variant widths in pixels
+   * @param {string[]} [options.formats] - Modern formats offered as <source> elements
+   * @param {string} [options.fallback] - Format used by the <img> fallback (default jpeg, png for sources with transparency)
+   * @param {string} [options.sizes] - Value of the sizes attribute
+   * @param {string} [options.baseUrl] - URL prefix for the variants in the markup
+   * @param {string} [options.alt] - Alternative text for the <img> element
+   * @param {ProcessingOptions} [options.processingOptions] - Processing options
+   * @returns {Promise<Object>} Manifest with the variants and <picture> markup
+   */
+  async generateResponsiveSet(options) {
+    const {
+      input,
+      dest,
+      widths = [320, 640, 1280, 1920],
+      formats = ["avif", "webp"],
+      sizes = "100vw",
+      baseUrl = "",
+      alt = "",
+      processingOptions = {},
+    } = options;
+
+    this.emit("processing:start");
+
+    try {
+      await this.#validateFile(input);
+      // JPEG would flatten transparency, so such sources fall back to PNG
+      const fallback =
+        options.fallback ??
+        ((await ImageProcessor.#probeInput(input)).hasAlpha ? "png" : "jpeg");
+      const outputFormats = [...new Set([...formats, fallback])];
+      const formatConfigs = outputFormats.map((format) =>
+        this.#validateFormat(input, format)
+      );
+      await ImageProcessor.#ensureFolder(dest);
+
+      // Decode once; every variant is cloned from the same raw pixels
+      const { data, info } = await sharp(input)
+        .rotate()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const source = sharp(data, {
+        raw: { width: info.width, height: info.height, channels: info.channels },
+      });
+
+      // Widths larger than the source collapse into one full-size variant
+      const fitting = widths.filter((width) => width <= info.width);
+      if (fitting.length < widths.length) fitting.push(info.width);
+      const targetWidths = [...new Set(fitting)].sort((a, b) => a - b);
+
+      const name = path.basename(input, path.extname(input));
+      const jobs = outputFormats.flatMap((format, index) =>
+        targetWidths.map((width) => ({
+          format,
+          width,
+          formatConfig: formatConfigs[index],
+        }))
+      );
+
+      const variants = new Array(jobs.length);
+      await this.#runPool(
+        jobs,
+        ImageProcessor.#defaultConcurrency(),
+        async ({ format, width, formatConfig }, index) => {
+          const fileName = `${name}-${width}w${formatConfig.extension}`;
+          const output = path.join(dest, fileName);
+          const result = await this.#processImage(
+            input,
+            output,
+            this.#mergeOptions(formatConfig, format, {
+              ...processingOptions,
+              width,
+              height: undefined,
+              remove: false,
+            }),
+            source
+          );
+
+          variants[index] = {
+            format,
+            mimeType: formatConfig.mimeType,
+            width: result.stats.width,
+            height: result.stats.height,
+            size: result.stats.outputSize,
+            path: output,
+            url: baseUrl ? `${baseUrl.replace(/\/?$/, "/")}${fileName}` : fileName,
+          };
+        }
+      );
+
+      const manifest = {
+        input,
+        width: info.width,
+        height: info.height,
+        sizes,
+        variants,
+        markup: this.#buildPictureMarkup(variants, fallback, { sizes, alt }),
+      };
+
+      const manifestPath = path.join(dest, `${name}.responsive.json`);
+      await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
+      this.emit("processing:complete");
+      return { ...manifest, manifestPath };
+    } catch (error) {
+      this.emit("error", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds <picture> markup for a set of responsive variants
+   * @private
+   * @param {Object[]} variants - Generated variants
+   * @param {string} fallback - Format used by the <img> element
+   * @param {Object} attributes - sizes and alt attributes
+   * @returns {string}
+   */
+  #buildPictureMarkup(variants, fallback, { sizes, alt }) {
+    const escape = (value) =>
+      String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+    const srcset = (list) =>
+      escape(list.map((variant) => `${variant.url} ${variant.width}w`).join(", "));
+
+    const byFormat = new Map();
+    for (const variant of variants) {
+      if (!byFormat.has(variant.format)) byFormat.set(variant.format, []);
+      byFormat.get(variant.format).push(variant);
+    }
+
+    const fallbackSet = byFormat.get(fallback);
+    byFormat.delete(fallback);
+    const largest = fallbackSet[fallbackSet.length - 1];
+
+    const lines = ["<picture>"];
+    for (const list of byFormat.values()) {
+      lines.push(
+        `  <source type="${list[0].mimeType}" srcset="${srcset(list)}" sizes="${escape(sizes)}">`
+      );
+    }
+    lines.push(
+      `  <img src="${escape(largest.url)}" srcset="${srcset(fallbackSet)}" sizes="${escape(
+        sizes
+      )}" width="${largest.width}" height="${largest.height}" alt="${escape(
+        alt
+      )}" loading="lazy" decoding="async">`,
+      "</picture>"
+    );
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Lists the images below a folder the way processFolder collects them
+   * @public
+   * @param {Object} options - Listing options
+   * @param {string} options.folder - Folder to scan
+   * @param {string[]} [options.extensions] - Accepted extensions (default: every input a format accepts)
+   * @param {boolean} [options.recursive=false] - Include subfolders
+   * @param {number} [options.maxDepth] - Maximum subfolder depth when recursive (0 = top level only)
+   * @param {boolean} [options.skipSymlinks=false] - Ignore symbolic links
+   * @param {boolean} [options.skipHidden=false] - Ignore dot-folders when recursive
+   * @param {string} [options.exclude] - Folder left out, such as an output folder inside the input
+   * @returns {Promise<string[]>} Sorted file paths relative to folder
+   */
+  async listImages(options) {
+    const { folder, extensions, ...walkOptions } = options;
+    const supportedInputs = extensions
+      ? extensions.map((extension) =>
+          `.${extension.replace(/^\./, "")}`.toLowerCase()
+        )
+      : [
+          ...new Set(
+            Object.values(ImageProcessor.#FORMAT_MAPPINGS).flatMap(
+              (config) => config.supportedInputs
+            )
+          ),
+        ];
+    return this.#collectFiles(folder, supportedInputs, walkOptions);
+  }
+
   /**
    * Get processing statistics
    * @public
@@ -526,6 +3321,10 @@ class ImageProcessor extends EventEmitter {
    */
   clearCache() {
     this.#cache.clear();
+    // Pending index writes still complete; the indexes are reloaded on next use
+    this.#contentCaches.clear();
+    // Project configurations are read again on next use
+    this.#projectConfigs.clear();
   }
 
   /**
@@ -535,6 +3334,7 @@ class ImageProcessor extends EventEmitter {
   resetStats() {
     this.#stats = {
       processed: 0,
+      improved: 0,
       failed: 0,
       skipped: 0,
       totalSaved: 0,
@@ -622,4 +3422,13 @@ class ImageProcessor extends EventEmitter {
   }
 }
 
+export {
+  CrushifyError,
+  UnsupportedFormatError,
+  InvalidInputError,
+  InvalidOptionError,
+  DecodeError,
+  EncodeError,
+  OutputWriteError,
+};
 export default ImageProcessor;
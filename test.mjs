@@ -1,5 +1,22 @@
-import ImageProcessor from './main.mjs';
+import ImageProcessor, {
+  CrushifyError,
+  UnsupportedFormatError,
+  InvalidInputError,
+  InvalidOptionError,
+  DecodeError,
+  EncodeError,
+  OutputWriteError
+} from './main.mjs';
+import { createServer } from './utils/server.mjs';
+import { createMiddleware } from './utils/middleware.mjs';
+import { createPlaceholders } from './utils/placeholders.mjs';
+import { findConfig, configFor, globToRegExp } from './utils/config.mjs';
+import optionsConvert from './js/validate.mjs';
+import http from 'http';
+import sharp from 'sharp';
 import fs from 'fs/promises';
+import { Readable, Writable } from 'stream';
+import { pipeline } from 'stream/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -27,6 +44,62 @@ async function createTestImages() {
   return { testDir, outputDir };
 }
 
+// Minimal animated GIF: solid-colour frames with uncompressed LZW data
+function createAnimatedGif(width, height, colors, delays, loop = 0) {
+  const bytes = [];
+  const u16 = (value) => bytes.push(value & 255, value >> 8);
+
+  bytes.push(...Buffer.from('GIF89a'));
+  u16(width);
+  u16(height);
+  bytes.push(0xf1, 0, 0); // 4-entry global colour table
+  [...colors, [0, 0, 0], [0, 0, 0], [0, 0, 0]].slice(0, 4).forEach((rgb) => bytes.push(...rgb));
+  bytes.push(0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0'), 3, 1);
+  u16(loop);
+  bytes.push(0);
+
+  delays.forEach((delay, frame) => {
+    bytes.push(0x21, 0xf9, 4, 0x04);
+    u16(Math.round(delay / 10));
+    bytes.push(0, 0, 0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    bytes.push(0, 2);
+
+    // 3-bit codes; a clear code every two pixels keeps the code size fixed
+    const codes = [];
+    for (let i = 0; i < width * height; i++) {
+      if (i % 2 === 0) codes.push(4);
+      codes.push(frame % colors.length);
+    }
+    codes.push(5);
+
+    const data = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const code of codes) {
+      buffer |= code << bits;
+      bits += 3;
+      while (bits >= 8) {
+        data.push(buffer & 255);
+        buffer >>= 8;
+        bits -= 8;
+      }
+    }
+    if (bits) data.push(buffer & 255);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      bytes.push(block.length, ...block);
+    }
+    bytes.push(0);
+  });
+
+  bytes.push(0x3b);
+  return Buffer.from(bytes);
+}
+
 async function cleanupTestDirs(testDir, outputDir) {
   try {
     await fs.rm(testDir, { recursive: true, force: true });
@@ -129,6 +202,1297 @@ async function runTests() {
       console.log('Error caught:', error.message);
     }
 
+    console.log('\n');
+
+    // Test 8: Recursive folder processing
+    console.log('Test 8: Recursive folder processing');
+    const nestedDir = path.join(testDir, 'products', '2024');
+    await fs.mkdir(nestedDir, { recursive: true });
+    await fs.copyFile(path.join(testDir, 'test.svg'), path.join(nestedDir, 'nested.svg'));
+    const recursiveDest = path.join(outputDir, 'recursive');
+    const recursiveResults = await processor.processFolder({
+      folder: testDir,
+      dest: recursiveDest,
+      format: 'png',
+      recursive: true
+    });
+    const nestedOutput = path.join(recursiveDest, 'products', '2024', 'nested.png');
+    const mirrored = await fs.access(nestedOutput).then(() => true, () => false);
+    const shallowResults = await processor.processFolder({
+      folder: testDir,
+      dest: path.join(outputDir, 'shallow'),
+      format: 'png',
+      recursive: true,
+      maxDepth: 1
+    });
+    if (mirrored && shallowResults.length === recursiveResults.length - 1) {
+      console.log('✓ Recursive processing mirrors the source tree');
+    } else {
+      console.log('✗ Recursive processing failed');
+    }
+    console.log('Relative paths:', recursiveResults.map((r) => r.relativePath));
+    console.log('\n');
+
+    // Test 9: Concurrent batch processing
+    console.log('Test 9: Concurrent batch processing');
+    const batchDir = path.join(testDir, 'batch');
+    await fs.mkdir(batchDir, { recursive: true });
+    const batchNames = ['a.svg', 'b.svg', 'c.svg', 'd.svg', 'e.svg'];
+    for (const name of batchNames) {
+      await fs.copyFile(path.join(testDir, 'test.svg'), path.join(batchDir, name));
+    }
+    const progressValues = [];
+    const concurrentResults = await processor.processFolder(
+      {
+        folder: batchDir,
+        dest: path.join(outputDir, 'batch'),
+        format: 'webp',
+        concurrency: 3
+      },
+      ({ progress }) => progressValues.push(progress)
+    );
+    const ordered = concurrentResults
+      .map((r) => r.relativePath)
+      .every((file, i) => file === batchNames[i]);
+    if (ordered && progressValues[progressValues.length - 1] === 100) {
+      console.log('✓ Concurrent processing keeps order and progress');
+    } else {
+      console.log('✗ Concurrent processing failed');
+    }
+    console.log('Progress:', progressValues.map((p) => p.toFixed(1)));
+    console.log('\n');
+
+    // Test 10: Resize options
+    console.log('Test 10: Resize options');
+    const resized = await processor.convertToWebP(
+      path.join(testDir, 'test.svg'),
+      path.join(outputDir, 'resized.webp'),
+      { width: 40, height: 20, fit: 'inside' }
+    );
+    const capped = await processor.convertToPNG(
+      path.join(testDir, 'test.svg'),
+      path.join(outputDir, 'capped.png'),
+      { maxPixels: 2500 }
+    );
+    if (
+      resized.stats.width === 20 &&
+      resized.stats.height === 20 &&
+      capped.stats.width * capped.stats.height <= 2500
+    ) {
+      console.log('✓ Resize options applied');
+    } else {
+      console.log('✗ Resize options failed');
+    }
+    console.log('Dimensions:', resized.stats.width, resized.stats.height, capped.stats.width, capped.stats.height);
+    console.log('\n');
+
+    // Test 11: Responsive image set
+    console.log('Test 11: Responsive image set');
+    const responsive = await processor.generateResponsiveSet({
+      input: path.join(testDir, 'test.svg'),
+      dest: path.join(outputDir, 'responsive'),
+      widths: [20, 40, 400],
+      formats: ['avif', 'webp'],
+      fallback: 'jpeg'
+    });
+    const manifestWritten = await fs.access(responsive.manifestPath).then(() => true, () => false);
+    // Without a fallback, transparent sources get a PNG <img> instead of a flattened JPEG
+    const transparentInput = path.join(outputDir, 'transparent.png');
+    await sharp({
+      create: { width: 40, height: 40, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+    })
+      .png()
+      .toFile(transparentInput);
+    const transparentSet = await processor.generateResponsiveSet({
+      input: transparentInput,
+      dest: path.join(outputDir, 'responsive-transparent'),
+      widths: [20],
+      formats: ['webp']
+    });
+    // Folder mode lists its inputs like processFolder
+    const listedDir = path.join(outputDir, 'listed');
+    await fs.mkdir(path.join(listedDir, 'sub', 'deeper'), { recursive: true });
+    const fallbackVariant = responsive.variants.find((variant) => variant.format === 'jpeg');
+    for (const file of ['a.jpg', 'sub/b.jpg', 'sub/deeper/c.jpg', 'notes.txt']) {
+      await fs.copyFile(fallbackVariant.path, path.join(listedDir, file));
+    }
+    const listedTop = await processor.listImages({ folder: listedDir, extensions: ['jpg'] });
+    const listedDeep = await processor.listImages({
+      folder: listedDir,
+      extensions: ['jpg'],
+      recursive: true,
+      maxDepth: 1
+    });
+    if (
+      manifestWritten &&
+      responsive.variants.length === 9 &&
+      responsive.markup.startsWith('<picture>') &&
+      transparentSet.variants.map((variant) => variant.format).join() === 'webp,png' &&
+      transparentSet.markup.includes('<img src="transparent-20w.png"') &&
+      listedTop.join() === 'a.jpg' &&
+      listedDeep.join() === ['a.jpg', 'sub/b.jpg'].map((file) => path.normalize(file)).join()
+    ) {
+      console.log('✓ Responsive set generated');
+    } else {
+      console.log('✗ Responsive set generation failed');
+    }
+    console.log('Markup:\n' + responsive.markup);
+    console.log('\n');
+
+    // Test 12: Target file size
+    console.log('Test 12: Target file size');
+    const unbounded = await processor.convertToJPEG(
+      path.join(testDir, 'test.svg'),
+      path.join(outputDir, 'unbounded.jpg'),
+      { quality: 100 }
+    );
+    const budget = Math.floor(unbounded.stats.outputSize * 0.6);
+    const fitted = await processor.convertToJPEG(
+      path.join(testDir, 'test.svg'),
+      path.join(outputDir, 'fitted.jpg'),
+      { quality: 100, targetSize: budget }
+    );
+    if (fitted.stats.outputSize <= budget && fitted.stats.quality < 100) {
+      console.log('✓ Target size reached');
+    } else {
+      console.log('✗ Target size failed');
+    }
+    console.log(`Budget ${budget} bytes:`, fitted.stats);
+    try {
+      await processor.convertToJPEG(
+        path.join(testDir, 'test.svg'),
+        path.join(outputDir, 'impossible.jpg'),
+        { targetSize: 10 }
+      );
+      console.log('✗ Target size should fail for an impossible budget');
+    } catch (error) {
+      console.log('✓ Impossible target size rejected');
+      console.log('Error caught:', error.message);
+    }
+    console.log('\n');
+
+    // Test 13: Perceptual quality target
+    console.log('Test 13: Perceptual quality target');
+    const perceptual = await processor.convertToWebP(
+      path.join(testDir, 'test.svg'),
+      path.join(outputDir, 'perceptual.webp'),
+      { targetSSIM: 0.95 }
+    );
+    if (perceptual.stats.ssim >= 0.95 && perceptual.stats.quality <= 100) {
+      console.log('✓ Perceptual quality target reached');
+    } else {
+      console.log('✗ Perceptual quality target failed');
+    }
+    console.log('Chosen:', perceptual.stats);
+    console.log('\n');
+
+    // Test 14: Automatic format selection
+    console.log('Test 14: Automatic format selection');
+    const transparentSvg = `
+    <svg width="64" height="64" xmlns="http://www.w3.org/2000/svg">
+      <circle cx="32" cy="32" r="20" fill="green"/>
+    </svg>
+  `;
+    await fs.writeFile(path.join(testDir, 'transparent.svg'), transparentSvg);
+    const autoResult = await processor.processFile({
+      input: path.join(testDir, 'test.svg'),
+      output: path.join(outputDir, 'auto', 'test'),
+      format: 'auto'
+    });
+    const transparentResult = await processor.processFile({
+      input: path.join(testDir, 'transparent.svg'),
+      output: path.join(outputDir, 'auto', 'transparent'),
+      format: 'auto',
+      processingOptions: { candidates: ['jpeg', 'png'] }
+    });
+    const smallest = Math.min(...Object.values(autoResult.stats.candidates));
+    if (
+      autoResult.stats.outputSize === smallest &&
+      transparentResult.stats.format === 'png' &&
+      !('jpeg' in transparentResult.stats.candidates)
+    ) {
+      console.log('✓ Automatic format selection working correctly');
+    } else {
+      console.log('✗ Automatic format selection failed');
+    }
+    console.log('Candidates:', autoResult.stats.candidates, '→', autoResult.stats.format);
+    console.log('\n');
+
+    // Test 15: Persistent content-hash cache
+    console.log('Test 15: Persistent content-hash cache');
+    const cachedDest = path.join(outputDir, 'persistent');
+    const firstBatch = await new ImageProcessor().processFolder({
+      folder: batchDir,
+      dest: cachedDest,
+      format: 'webp',
+      processingOptions: { persistentCache: true }
+    });
+    await fs.writeFile(path.join(batchDir, 'a.svg'), transparentSvg);
+    const rerunProcessor = new ImageProcessor();
+    const secondBatch = await rerunProcessor.processFolder({
+      folder: batchDir,
+      dest: cachedDest,
+      format: 'webp',
+      processingOptions: { persistentCache: true }
+    });
+    const reencoded = secondBatch.filter((r) => !r.skipped).map((r) => r.relativePath);
+    if (
+      firstBatch.every((r) => !r.skipped) &&
+      reencoded.length === 1 &&
+      reencoded[0] === 'a.svg' &&
+      rerunProcessor.getStats().skipped === batchNames.length - 1
+    ) {
+      console.log('✓ Unchanged files skipped across runs');
+    } else {
+      console.log('✗ Persistent cache failed');
+    }
+    console.log('Re-encoded:', reencoded);
+    console.log('\n');
+
+    // Test 16: Watch mode
+    console.log('Test 16: Watch mode');
+    const watchDir = path.join(testDir, 'watched');
+    await fs.mkdir(watchDir, { recursive: true });
+    const watcher = processor.watchFolder({
+      folder: watchDir,
+      dest: watchDir,
+      format: 'png',
+      debounce: 100
+    });
+    const watched = new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error('No watch event')), 5000);
+      processor.once('watch:processed', (event) => {
+        clearTimeout(timeout);
+        resolve(event);
+      });
+    });
+    await fs.copyFile(path.join(testDir, 'test.svg'), path.join(watchDir, 'dropped.svg'));
+    try {
+      const event = await watched;
+      // Give the watcher time to see (and ignore) its own output
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      const converted = await fs.access(path.join(watchDir, 'dropped.png')).then(() => true, () => false);
+      if (event.file === 'dropped.svg' && converted) {
+        console.log('✓ Watched file converted');
+      } else {
+        console.log('✗ Watch mode failed');
+      }
+    } catch (error) {
+      console.log('✗ Watch mode failed:', error.message);
+    } finally {
+      watcher.close();
+    }
+
+    console.log('\n');
+
+    // Test 17: Dry run
+    console.log('Test 17: Dry run');
+    const planDir = path.join(testDir, 'plan');
+    const planDest = path.join(outputDir, 'plan');
+    await fs.mkdir(planDir, { recursive: true });
+    await fs.copyFile(path.join(testDir, 'test.svg'), path.join(planDir, 'kept.svg'));
+    await fs.writeFile(path.join(planDir, 'notes.txt'), 'not an image');
+    const planned = await processor.processFolder({
+      folder: planDir,
+      dest: planDest,
+      format: 'webp',
+      processingOptions: { remove: true },
+      dryRun: true,
+      estimate: true
+    });
+    const [convertPlan, skipPlan] = planned.map((r) => r.plan);
+    const wroteNothing =
+      !(await fs.access(planDest).then(() => true, () => false)) &&
+      (await fs.access(path.join(planDir, 'kept.svg')).then(() => true, () => false));
+    if (
+      planned.length === 2 &&
+      wroteNothing &&
+      convertPlan.action === 'convert' &&
+      convertPlan.output === path.join(planDest, 'kept.webp') &&
+      // remove only deletes inputs whose output is estimated to be smaller
+      convertPlan.removeInput === convertPlan.estimatedSize < convertPlan.inputSize &&
+      convertPlan.overwrite === false &&
+      convertPlan.estimatedSize > 0 &&
+      skipPlan.action === 'skip' &&
+      skipPlan.reason === 'unsupported'
+    ) {
+      console.log('✓ Planned operations reported without writing');
+    } else {
+      console.log('✗ Dry run failed');
+    }
+    planned.forEach((r) => console.log(r.message));
+
+    console.log('\n');
+
+    // Test 18: Metadata control
+    console.log('Test 18: Metadata control');
+    const exifInput = path.join(testDir, 'camera.jpg');
+    await sharp({
+      create: { width: 64, height: 64, channels: 3, background: '#336699' }
+    })
+      .jpeg()
+      .withExif({
+        IFD0: { Make: 'Camera', Model: 'X100', Artist: 'Staff' },
+        IFD2: { BodySerialNumber: 'SN-1234' }
+      })
+      .withXmp(
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+          '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:creator>Staff</dc:creator>' +
+          '</rdf:Description></rdf:RDF></x:xmpmeta>'
+      )
+      .toFile(exifInput);
+    const convertMetadata = (name, metadata) =>
+      processor.processFile({
+        input: exifInput,
+        output: path.join(outputDir, `camera-${name}.webp`),
+        format: 'webp',
+        processingOptions: { metadata }
+      });
+    const stripped = await processor.processFile({
+      input: exifInput,
+      output: path.join(outputDir, 'camera-stripped.webp'),
+      format: 'webp',
+      processingOptions: { metadata: 'strip' }
+    });
+    const selected = await processor.processFile({
+      input: exifInput,
+      output: path.join(outputDir, 'camera-selected.webp'),
+      format: 'webp',
+      processingOptions: { metadata: { keep: ['Make'], copyright: 'ACME' } }
+    });
+    const selectedTags = selected.stats.metadata.exif;
+    const allKept = await convertMetadata('kept', 'keep');
+    const xmpOnly = await convertMetadata('xmp-only', { mode: 'strip', xmp: true });
+    const withoutXmp = await convertMetadata('no-xmp', { xmp: false });
+    if (
+      stripped.stats.metadata.exif.length === 0 &&
+      selectedTags.includes('Make') &&
+      selectedTags.includes('Copyright') &&
+      !selectedTags.includes('Model') &&
+      !selectedTags.includes('BodySerialNumber') &&
+      stripped.stats.metadata.xmp === false &&
+      allKept.stats.metadata.xmp === true &&
+      xmpOnly.stats.metadata.xmp === true &&
+      !xmpOnly.stats.metadata.exif.includes('Make') &&
+      withoutXmp.stats.metadata.xmp === false &&
+      withoutXmp.stats.metadata.exif.includes('Make')
+    ) {
+      console.log('✓ Metadata stripped and selectively kept, XMP switched on its own');
+    } else {
+      console.log('✗ Metadata control failed');
+    }
+    console.log('Kept EXIF tags:', selectedTags);
+
+    console.log('\n');
+
+    // Test 19: Buffer and stream processing
+    console.log('Test 19: Buffer and stream processing');
+    const svgBuffer = await fs.readFile(path.join(testDir, 'test.svg'));
+    const inMemory = await processor.processBuffer(svgBuffer, { format: 'webp' });
+    const streamed = [];
+    let streamInfo = null;
+    const transform = processor.createTransformStream({ format: 'jpeg' });
+    transform.on('info', (event) => { streamInfo = event.info; });
+    await pipeline(
+      Readable.from([svgBuffer.subarray(0, 20), svgBuffer.subarray(20)]),
+      transform,
+      new Writable({
+        write(chunk, encoding, callback) {
+          streamed.push(chunk);
+          callback();
+        }
+      })
+    );
+    let rejectedGarbage = false;
+    try {
+      await processor.processBuffer(Buffer.from('not an image'), { format: 'png' });
+    } catch (error) {
+      rejectedGarbage = true;
+    }
+    const streamedMeta = await sharp(Buffer.concat(streamed)).metadata();
+    if (
+      inMemory.info.mimeType === 'image/webp' &&
+      (await sharp(inMemory.data).metadata()).format === 'webp' &&
+      inMemory.stats.outputSize === inMemory.data.length &&
+      streamedMeta.format === 'jpeg' &&
+      streamInfo?.mimeType === 'image/jpeg' &&
+      rejectedGarbage
+    ) {
+      console.log('✓ Buffers and streams converted in memory');
+    } else {
+      console.log('✗ Buffer/stream processing failed');
+    }
+
+    console.log('\n');
+
+    // Test 20: Image server
+    console.log('Test 20: Image server');
+    const server = createServer({
+      root: testDir,
+      cacheDir: path.join(outputDir, 'server-cache'),
+      sizes: [50]
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const first = await fetch(`${baseUrl}/img/test.svg?w=50`, {
+        headers: { accept: 'image/webp,*/*' }
+      });
+      const served = Buffer.from(await first.arrayBuffer());
+      const revalidated = await fetch(`${baseUrl}/img/test.svg?w=50`, {
+        headers: { accept: 'image/webp,*/*', 'if-none-match': first.headers.get('etag') }
+      });
+      const oddSize = await fetch(`${baseUrl}/img/test.svg?w=51`);
+      const traversal = await fetch(`${baseUrl}/img/..%2fpackage.json`);
+      const servedMeta = await sharp(served).metadata();
+      if (
+        first.status === 200 &&
+        first.headers.get('content-type') === 'image/webp' &&
+        servedMeta.width === 50 &&
+        revalidated.status === 304 &&
+        oddSize.status === 400 &&
+        traversal.status === 403
+      ) {
+        console.log('✓ Server negotiates, revalidates and rejects bad requests');
+      } else {
+        console.log('✗ Image server failed');
+      }
+    } finally {
+      server.close();
+    }
+
+    console.log('\n');
+
+    // Test 21: Middleware with plain http
+    console.log('Test 21: Middleware');
+    const middleware = createMiddleware({
+      root: testDir,
+      cacheDir: path.join(outputDir, 'middleware-cache'),
+      rules: [{ match: 'batch/', width: 40, height: 40, format: 'png' }]
+    });
+    const passedThrough = [];
+    await sharp({
+      create: { width: 60, height: 30, channels: 3, background: { r: 20, g: 120, b: 200 } }
+    })
+      .webp()
+      .toFile(path.join(testDir, 'served.webp'));
+    const badFallback = (() => {
+      try {
+        createMiddleware({ root: testDir, fallback: 'bmp' });
+        return null;
+      } catch (error) {
+        return error;
+      }
+    })();
+    const app = http.createServer((req, res) => {
+      middleware(req, res, () => {
+        passedThrough.push(req.url);
+        res.statusCode = 204;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => app.listen(0, '127.0.0.1', resolve));
+    const appUrl = `http://127.0.0.1:${app.address().port}`;
+    try {
+      const ruled = await fetch(`${appUrl}/img/batch/b.svg`);
+      const ruledMeta = await sharp(Buffer.from(await ruled.arrayBuffer())).metadata();
+      const other = await fetch(`${appUrl}/api/status`);
+      const missing = await fetch(`${appUrl}/img/missing.svg`);
+      const sameFormat = await fetch(`${appUrl}/img/served.webp?format=webp`);
+      const sameFormatMeta = await sharp(Buffer.from(await sameFormat.arrayBuffer())).metadata();
+      const negotiated = await fetch(`${appUrl}/img/served.webp?w=320`, {
+        headers: { accept: 'image/webp,*/*' }
+      });
+      // Transparent sources fall back to PNG; asked for as JPEG, they are flattened on white
+      await fs.mkdir(path.join(testDir, 'alpha'), { recursive: true });
+      await sharp({
+        create: { width: 40, height: 40, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } }
+      })
+        .png()
+        .toFile(path.join(testDir, 'alpha', 'clear.png'));
+      const transparent = await fetch(`${appUrl}/img/alpha/clear.png`);
+      const transparentMeta = await sharp(Buffer.from(await transparent.arrayBuffer())).metadata();
+      const flattened = await fetch(`${appUrl}/img/alpha/clear.png?format=jpeg`);
+      const { data: flattenedPixel } = await sharp(Buffer.from(await flattened.arrayBuffer()))
+        .extract({ left: 0, top: 0, width: 1, height: 1 })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      await fs.rm(path.join(testDir, 'alpha'), { recursive: true });
+      if (
+        ruled.status === 200 &&
+        ruledMeta.format === 'png' &&
+        ruledMeta.width === 40 &&
+        other.status === 204 &&
+        missing.status === 204 &&
+        passedThrough.length === 2 &&
+        sameFormat.status === 200 &&
+        sameFormatMeta.format === 'webp' &&
+        sameFormatMeta.width === 60 &&
+        negotiated.status === 200 &&
+        negotiated.headers.get('content-type') === 'image/webp' &&
+        transparent.headers.get('content-type') === 'image/png' &&
+        transparentMeta.hasAlpha &&
+        flattened.headers.get('content-type') === 'image/jpeg' &&
+        flattenedPixel.every((value) => value > 250) &&
+        badFallback?.code === 'ERR_INVALID_OPTION'
+      ) {
+        console.log('✓ Middleware applies rules, serves same-format sources and passes other requests on');
+      } else {
+        console.log('✗ Middleware failed');
+      }
+    } finally {
+      app.close();
+    }
+
+    console.log('\n');
+
+    // Test 22: Animated images
+    console.log('Test 22: Animated images');
+    const animatedInput = path.join(testDir, 'animated.gif');
+    await fs.writeFile(
+      animatedInput,
+      createAnimatedGif(20, 10, [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 0]], [100, 200, 300, 400, 500, 600], 2)
+    );
+    const sourceMeta = await sharp(animatedInput, { animated: true }).metadata();
+    const allFrames = await processor.processFile({
+      input: animatedInput,
+      output: path.join(outputDir, 'animated.webp'),
+      format: 'webp'
+    });
+    const reduced = await processor.processFile({
+      input: animatedInput,
+      output: path.join(outputDir, 'animated-reduced.webp'),
+      format: 'webp',
+      processingOptions: { frameStep: 2 }
+    });
+    // maxPixels caps each frame, not the stack of frames
+    const cappedFrames = await processor.processFile({
+      input: animatedInput,
+      output: path.join(outputDir, 'animated-capped.webp'),
+      format: 'webp',
+      processingOptions: { maxPixels: 50 }
+    });
+    const cappedFramesMeta = await sharp(path.join(outputDir, 'animated-capped.webp'), { animated: true }).metadata();
+    const allMeta = await sharp(path.join(outputDir, 'animated.webp'), { animated: true }).metadata();
+    const reducedMeta = await sharp(path.join(outputDir, 'animated-reduced.webp'), { animated: true }).metadata();
+    if (
+      allFrames.stats.frames === 6 &&
+      allMeta.pages === 6 &&
+      allMeta.delay.join() === sourceMeta.delay.join() &&
+      allMeta.loop === sourceMeta.loop &&
+      reduced.stats.frames === 3 &&
+      reducedMeta.pages === 3 &&
+      reducedMeta.delay.join() === '300,700,1100' &&
+      cappedFrames.stats.frames === 6 &&
+      cappedFramesMeta.pages === 6 &&
+      cappedFramesMeta.width === 10 &&
+      cappedFramesMeta.pageHeight === 5
+    ) {
+      console.log('✓ Frames, delays and loop count preserved');
+    } else {
+      console.log('✗ Animated conversion failed');
+    }
+    console.log('Reduced delays:', reducedMeta.delay);
+    console.log(`maxPixels frames: ${cappedFramesMeta.width}×${cappedFramesMeta.pageHeight} × ${cappedFramesMeta.pages}`);
+
+    // Test 23: Watermarks
+    console.log('\nTest 23: Watermarks');
+    const plain = await sharp({
+      create: { width: 200, height: 100, channels: 3, background: '#000000' }
+    }).jpeg().toBuffer();
+    const logo = await sharp({
+      create: { width: 40, height: 20, channels: 3, background: '#ffffff' }
+    }).png().toBuffer();
+    const brightness = async (data, left, top) => {
+      const { data: pixels, info } = await sharp(data).raw().toBuffer({ resolveWithObject: true });
+      return pixels[(top * info.width + left) * info.channels];
+    };
+
+    const logoMarked = await processor.processBuffer(plain, {
+      format: 'webp',
+      processingOptions: {
+        lossless: true,
+        watermark: { image: logo, gravity: 'southeast', offset: 10, scale: 0.2, opacity: 0.5 }
+      }
+    });
+    // 40×20 logo at the bottom-right corner, 10px in
+    const insideLogo = await brightness(logoMarked.data, 170, 80);
+    const outsideLogo = await brightness(logoMarked.data, 20, 20);
+    const textMarked = await processor.processBuffer(plain, {
+      format: 'webp',
+      processingOptions: { lossless: true, watermark: { text: 'ACME', tile: true, opacity: 1 } }
+    });
+    const { data: textPixels } = await sharp(textMarked.data).raw().toBuffer({ resolveWithObject: true });
+    const animatedMarked = await processor.processFile({
+      input: animatedInput,
+      output: path.join(outputDir, 'animated-marked.webp'),
+      format: 'webp',
+      processingOptions: { watermark: logo }
+    });
+    // The persistent cache follows the watermark file's content, not only its path
+    const markedDir = path.join(outputDir, 'watermarked');
+    await fs.mkdir(path.join(markedDir, 'src'), { recursive: true });
+    await fs.copyFile(animatedInput, path.join(markedDir, 'src', 'animated.gif'));
+    const logoPath = path.join(markedDir, 'logo.png');
+    await fs.writeFile(logoPath, logo);
+    const markFile = async () =>
+      (
+        await new ImageProcessor().processFolder({
+          folder: path.join(markedDir, 'src'),
+          dest: path.join(markedDir, 'out'),
+          format: 'webp',
+          processingOptions: { persistentCache: true, watermark: { image: logoPath } }
+        })
+      )[0];
+    await markFile();
+    const unchangedMark = await markFile();
+    await sharp({
+      create: { width: 40, height: 20, channels: 3, background: '#ff0000' }
+    })
+      .png()
+      .toFile(logoPath);
+    const changedMark = await markFile();
+    if (
+      Math.abs(insideLogo - 128) <= 4 &&
+      outsideLogo === 0 &&
+      unchangedMark.skipped === true &&
+      !changedMark.skipped &&
+      textPixels.some((value) => value > 200) &&
+      animatedMarked.stats.frames === 6
+    ) {
+      console.log('✓ Image, text and animated watermarks applied');
+    } else {
+      console.log('✗ Watermark failed');
+    }
+    console.log('Logo pixel brightness:', insideLogo);
+
+    // Test 24: Smart cropping
+    console.log('\nTest 24: Smart cropping');
+    const banner = path.join(testDir, 'banner.jpg');
+    await sharp({
+      create: { width: 300, height: 100, channels: 3, background: '#000000' }
+    })
+      .composite([
+        {
+          input: { create: { width: 30, height: 30, channels: 3, background: '#ff0000' } },
+          left: 240,
+          top: 40
+        }
+      ])
+      .jpeg()
+      .toFile(banner);
+    const attentionCrop = await processor.processFile({
+      input: banner,
+      output: path.join(outputDir, 'banner-square.webp'),
+      format: 'webp',
+      processingOptions: { crop: '1:1', width: 50 }
+    });
+    await fs.writeFile(path.join(testDir, 'banner.json'), JSON.stringify({ focal: { x: 0, y: 0.5 } }));
+    const focalCrop = await processor.processFile({
+      input: banner,
+      output: path.join(outputDir, 'banner-focal.webp'),
+      format: 'webp',
+      processingOptions: { crop: { aspect: '16:9', strategy: 'entropy' } }
+    });
+    if (
+      attentionCrop.stats.crop.left >= 140 &&
+      attentionCrop.stats.crop.width === 100 &&
+      attentionCrop.stats.width === 50 &&
+      attentionCrop.stats.height === 50 &&
+      focalCrop.stats.crop.strategy === 'focal' &&
+      focalCrop.stats.crop.left === 0 &&
+      focalCrop.stats.width === 178
+    ) {
+      console.log('✓ Crop follows the subject and the sidecar focal point');
+    } else {
+      console.log('✗ Smart cropping failed');
+    }
+    console.log('Crop rectangles:', attentionCrop.stats.crop, focalCrop.stats.crop);
+
+    // Test 25: Placeholders
+    console.log('\nTest 25: Placeholders');
+    const placeholderDir = path.join(outputDir, 'placeholders');
+    const placeholderResults = await processor.processFolder({
+      folder: testDir,
+      dest: placeholderDir,
+      format: 'webp',
+      processingOptions: { placeholders: true, width: 60 }
+    });
+    const manifest = JSON.parse(
+      await fs.readFile(path.join(placeholderDir, 'placeholders.json'), 'utf8')
+    );
+    const bannerPlaceholders = placeholderResults.find(
+      (result) => result.relativePath === 'banner.jpg'
+    ).stats.placeholders;
+    const standalone = await createPlaceholders(
+      await sharp({ create: { width: 40, height: 20, channels: 3, background: '#3a6ea5' } })
+        .png()
+        .toBuffer(),
+      { kinds: ['blurhash', 'dominantColor'] }
+    );
+    if (
+      /^[0-9A-Za-z#$%*+,\-.:;=?@[\]^_{|}~]{28}$/.test(bannerPlaceholders.blurhash) &&
+      Buffer.from(bannerPlaceholders.thumbhash, 'base64').length >= 5 &&
+      bannerPlaceholders.dominantColor === '#000000' &&
+      bannerPlaceholders.preview.startsWith('data:image/webp;base64,') &&
+      manifest['banner.jpg']?.blurhash === bannerPlaceholders.blurhash &&
+      manifest['banner.jpg'].width === 60 &&
+      standalone.dominantColor === '#3a6ea5' &&
+      Object.keys(standalone).join() === 'blurhash,dominantColor'
+    ) {
+      console.log('✓ Placeholders returned and written to the manifest');
+    } else {
+      console.log('✗ Placeholders failed');
+    }
+    console.log('Banner placeholders:', { ...bannerPlaceholders, preview: `${bannerPlaceholders.preview.length} chars` });
+
+    // Test 26: Batch reports
+    console.log('\nTest 26: Batch reports');
+    const reportDir = path.join(outputDir, 'reports');
+    const reportResults = await processor.processFolder({
+      folder: testDir,
+      dest: path.join(outputDir, 'reported'),
+      format: 'webp',
+      report: path.join(reportDir, 'report.json')
+    });
+    await processor.processFolder({
+      folder: testDir,
+      dest: path.join(outputDir, 'reported'),
+      format: 'webp',
+      report: path.join(reportDir, 'report.csv')
+    });
+    await processor.processFolder({
+      folder: testDir,
+      dest: path.join(outputDir, 'reported'),
+      format: 'webp',
+      report: path.join(reportDir, 'report.html')
+    });
+    const jsonReport = JSON.parse(await fs.readFile(path.join(reportDir, 'report.json'), 'utf8'));
+    const csvLines = (await fs.readFile(path.join(reportDir, 'report.csv'), 'utf8')).trim().split('\r\n');
+    const htmlReport = await fs.readFile(path.join(reportDir, 'report.html'), 'utf8');
+    const firstRow = jsonReport.files[0];
+    if (
+      jsonReport.files.length === reportResults.length &&
+      jsonReport.totals.files === reportResults.length &&
+      firstRow.output.endsWith('.webp') &&
+      firstRow.outputFormat === 'webp' &&
+      firstRow.width > 0 &&
+      typeof firstRow.savingPercent === 'number' &&
+      typeof firstRow.durationMs === 'number' &&
+      csvLines.length === reportResults.length + 1 &&
+      csvLines[0].startsWith('Input,Output,Status') &&
+      htmlReport.includes('<table>') &&
+      htmlReport.includes('data-key="savingPercent"')
+    ) {
+      console.log('✓ JSON, CSV and HTML reports written');
+    } else {
+      console.log('✗ Batch reports failed');
+    }
+    console.log('Report totals:', jsonReport.totals);
+
+    // Test 27: Result fields
+    console.log('\nTest 27: Result fields');
+    const described = await processor.processFile({
+      input: path.join(testDir, 'banner.jpg'),
+      output: path.join(outputDir, 'described', 'banner.webp'),
+      format: 'webp',
+      processingOptions: { width: 120, targetSize: 100 * 1024 }
+    });
+    const describedAuto = await processor.processFile({
+      input: path.join(testDir, 'banner.jpg'),
+      output: path.join(outputDir, 'described', 'banner-auto'),
+      format: 'auto',
+      processingOptions: { candidates: ['webp', 'jpeg'] }
+    });
+    const writtenSize = (await fs.stat(described.outputPath)).size;
+    // Same input and options, another output: converted again, not answered from memory
+    const describedCopy = await processor.processFile({
+      input: path.join(testDir, 'banner.jpg'),
+      output: path.join(outputDir, 'described', 'banner-copy.webp'),
+      format: 'webp',
+      processingOptions: { width: 120, targetSize: 100 * 1024 }
+    });
+    const copyWritten = await fs.access(describedCopy.outputPath).then(() => true, () => false);
+    if (
+      described.inputPath === path.join(testDir, 'banner.jpg') &&
+      described.inputFormat === 'jpeg' &&
+      described.outputFormat === 'webp' &&
+      described.width === 120 &&
+      described.height === 40 &&
+      described.outputSize === writtenSize &&
+      describedCopy.outputPath === path.join(outputDir, 'described', 'banner-copy.webp') &&
+      copyWritten &&
+      described.savedSize === described.inputSize - described.outputSize &&
+      typeof described.savingPercent === 'number' &&
+      typeof described.durationMs === 'number' &&
+      described.encoderOptions.quality === described.stats.quality &&
+      describedAuto.outputPath.endsWith(`.${describedAuto.outputFormat === 'jpeg' ? 'jpg' : describedAuto.outputFormat}`) &&
+      describedAuto.outputFormat === describedAuto.stats.format &&
+      described.message.includes('banner.jpg')
+    ) {
+      console.log('✓ Results describe paths, formats, sizes, timing and encoder options');
+    } else {
+      console.log('✗ Result fields missing');
+    }
+    console.log('Encoder options:', described.encoderOptions);
+
+    // Test 28: Cancellation
+    console.log('\nTest 28: Cancellation');
+    const batchController = new AbortController();
+    const cancelledBatch = await processor.processFolder(
+      {
+        folder: testDir,
+        dest: path.join(outputDir, 'cancelled'),
+        format: 'webp',
+        concurrency: 1,
+        signal: batchController.signal
+      },
+      () => batchController.abort()
+    );
+    const cancelledFiles = await fs.readdir(path.join(outputDir, 'cancelled'));
+    const fileController = new AbortController();
+    const cancelledOutput = path.join(outputDir, 'cancelled-file.webp');
+    const pendingFile = processor.processFile({
+      input: path.join(testDir, 'banner.jpg'),
+      output: cancelledOutput,
+      format: 'webp',
+      processingOptions: { width: 64 },
+      signal: fileController.signal
+    });
+    fileController.abort();
+    const fileError = await pendingFile.catch((error) => error);
+    const leftOver = await fs.access(cancelledOutput).then(() => true, () => false);
+    // A decode failure that surfaces after the abort is still reported as such
+    const bannerJpeg = await fs.readFile(path.join(testDir, 'banner.jpg'));
+    const failingController = new AbortController();
+    const pendingBuffer = processor.processBuffer(
+      bannerJpeg.subarray(0, bannerJpeg.length / 2),
+      { format: 'webp', signal: failingController.signal }
+    );
+    failingController.abort();
+    const bufferError = await pendingBuffer.catch((error) => error);
+    if (
+      cancelledBatch.aborted === true &&
+      cancelledBatch.length === 1 &&
+      cancelledBatch[0].success === true &&
+      cancelledFiles.length <= cancelledBatch.length &&
+      fileError?.name === 'AbortError' &&
+      !leftOver &&
+      bufferError?.code === 'ERR_DECODE'
+    ) {
+      console.log('✓ Batches and files stop cleanly when aborted');
+    } else {
+      console.log('✗ Cancellation failed');
+    }
+    console.log('Results before abort:', cancelledBatch.length);
+
+    // Test 29: Typed errors
+    console.log('\nTest 29: Typed errors');
+    const catchError = (promise) => promise.then(() => null, (error) => error);
+    const corruptPath = path.join(outputDir, 'corrupt.jpg');
+    const validJpeg = await fs.readFile(path.join(testDir, 'banner.jpg'));
+    await fs.writeFile(corruptPath, validJpeg.subarray(0, validJpeg.length / 2));
+    const typedErrors = {
+      unsupported: await catchError(
+        processor.processFile({ input: path.join(testDir, 'test.svg'), format: 'invalid' })
+      ),
+      missing: await catchError(
+        processor.processFile({ input: path.join(testDir, 'missing.jpg'), format: 'webp' })
+      ),
+      option: await catchError(
+        processor.processFile({
+          input: path.join(testDir, 'banner.jpg'),
+          output: path.join(outputDir, 'bad-crop.webp'),
+          format: 'webp',
+          processingOptions: { crop: 'wide' }
+        })
+      ),
+      decode: await catchError(
+        processor.processFile({ input: corruptPath, format: 'webp' })
+      ),
+      buffer: await catchError(
+        processor.processBuffer(Buffer.from('not an image'), { format: 'webp' })
+      ),
+      bufferFormat: await catchError(processor.processBuffer(validJpeg, {})),
+      encode: await catchError(
+        processor.convertToJPEG(
+          path.join(testDir, 'test.svg'),
+          path.join(outputDir, 'impossible.jpg'),
+          { targetSize: 10 }
+        )
+      ),
+      // WebP cannot hold 17000 pixels wide; the input itself decodes fine
+      encoder: await catchError(
+        processor.processBuffer(
+          await sharp({ create: { width: 17000, height: 1, channels: 3, background: '#000' } })
+            .png()
+            .toBuffer(),
+          { format: 'webp' }
+        )
+      ),
+      write: await catchError(
+        processor.processFile({
+          input: path.join(testDir, 'banner.jpg'),
+          output: path.join(corruptPath, 'banner.webp'),
+          format: 'webp'
+        })
+      )
+    };
+    const expectedErrors = {
+      unsupported: [UnsupportedFormatError, 'ERR_UNSUPPORTED_FORMAT'],
+      missing: [InvalidInputError, 'ERR_INVALID_INPUT'],
+      option: [InvalidOptionError, 'ERR_INVALID_OPTION'],
+      decode: [DecodeError, 'ERR_DECODE'],
+      buffer: [DecodeError, 'ERR_DECODE'],
+      bufferFormat: [InvalidOptionError, 'ERR_INVALID_OPTION'],
+      encode: [EncodeError, 'ERR_ENCODE'],
+      encoder: [EncodeError, 'ERR_ENCODE'],
+      write: [OutputWriteError, 'ERR_OUTPUT_WRITE']
+    };
+    // Every public entry point rejects a missing or invalid format with a typed error
+    const formatEntryPoints = {
+      processFile: (format) =>
+        processor.processFile({ input: path.join(testDir, 'banner.jpg'), dest: outputDir, format }),
+      processBuffer: (format) => processor.processBuffer(validJpeg, { format }),
+      processFolder: (format) => processor.processFolder({ folder: testDir, dest: outputDir, format }),
+      createTransformStream: (format) =>
+        pipeline(
+          Readable.from([validJpeg]),
+          processor.createTransformStream({ format }),
+          new Writable({ write: (chunk, encoding, callback) => callback() })
+        ),
+      watchFolder: async (format) =>
+        processor.watchFolder({ folder: testDir, dest: outputDir, format }).close(),
+      generateResponsiveSet: (format) =>
+        processor.generateResponsiveSet({
+          input: path.join(testDir, 'banner.jpg'),
+          dest: outputDir,
+          formats: [format],
+          fallback: format
+        })
+    };
+    const untypedEntryPoints = [];
+    for (const [name, call] of Object.entries(formatEntryPoints)) {
+      for (const format of [undefined, 'bmp', 5]) {
+        const error = await catchError(Promise.resolve().then(() => call(format)));
+        if (!(error instanceof CrushifyError) || !error.code) {
+          untypedEntryPoints.push(`${name}(${format}): ${error?.name}`);
+        }
+      }
+    }
+    const mismatched = Object.entries(expectedErrors).filter(
+      ([name, [ErrorClass, code]]) =>
+        !(typedErrors[name] instanceof ErrorClass) ||
+        !(typedErrors[name] instanceof CrushifyError) ||
+        typedErrors[name].code !== code
+    );
+    if (
+      mismatched.length === 0 &&
+      untypedEntryPoints.length === 0 &&
+      typedErrors.decode.filePath === corruptPath &&
+      typedErrors.decode.cause === typedErrors.decode.originalError &&
+      typedErrors.decode.cause instanceof DecodeError
+    ) {
+      console.log('✓ Failures carry typed errors with stable codes');
+    } else {
+      console.log('✗ Typed errors failed:', mismatched.map(([name]) => name), untypedEntryPoints);
+    }
+    Object.entries(typedErrors).forEach(([name, error]) =>
+      console.log(`${name}: ${error?.name} ${error?.code} - ${error?.message}`)
+    );
+
+    // Test 30: Outputs that do not shrink the input
+    console.log('\nTest 30: ifLarger policy');
+    const largerDir = path.join(outputDir, 'if-larger');
+    await fs.mkdir(largerDir, { recursive: true });
+    const largerInput = path.join(largerDir, 'source.png');
+    await sharp({
+      create: {
+        width: 200,
+        height: 200,
+        channels: 3,
+        noise: { type: 'gaussian', mean: 128, sigma: 30 }
+      }
+    })
+      .png()
+      .toFile(largerInput);
+    const inputBytes = (await fs.stat(largerInput)).size;
+    const convertLarger = (name, processingOptions) =>
+      processor.processFile({
+        input: largerInput,
+        output: path.join(largerDir, name, 'source.webp'),
+        format: 'webp',
+        processingOptions
+      });
+    const improvedBefore = processor.getStats().improved;
+    const improvedResult = await convertLarger('improved', {});
+    const keptOutput = await convertLarger('keep', { minSaving: 99 });
+    const copiedOriginal = await convertLarger('copy', {
+      ifLarger: 'copy-original',
+      minSaving: 99
+    });
+    const skippedLarger = await convertLarger('skip', {
+      ifLarger: 'skip',
+      minSaving: 99,
+      remove: true
+    });
+    // A heavily compressed JPEG only grows as PNG; remove must keep it
+    const growingInput = path.join(largerDir, 'growing.jpg');
+    await sharp(largerInput).jpeg({ quality: 10 }).toFile(growingInput);
+    const grownOutput = await processor.processFile({
+      input: growingInput,
+      output: path.join(largerDir, 'grown', 'growing.png'),
+      format: 'png',
+      processingOptions: { remove: true }
+    });
+    const growingKept = await fs.access(growingInput).then(() => true, () => false);
+    const listed = async (name) =>
+      fs.readdir(path.join(largerDir, name)).catch(() => []);
+    const invalidMode = await convertLarger('invalid', { ifLarger: 'never' }).then(
+      () => null,
+      (error) => error
+    );
+    if (
+      improvedResult.status === 'improved' &&
+      processor.getStats().improved === improvedBefore + 1 &&
+      keptOutput.status === 'unimproved' &&
+      (await listed('keep')).join() === 'source.webp' &&
+      copiedOriginal.status === 'original' &&
+      copiedOriginal.outputPath === path.join(largerDir, 'copy', 'source.png') &&
+      (await fs.stat(copiedOriginal.outputPath)).size === inputBytes &&
+      copiedOriginal.stats.convertedSize > 0 &&
+      skippedLarger.status === 'skipped' &&
+      skippedLarger.skipped === true &&
+      (await listed('skip')).length === 0 &&
+      (await fs.stat(largerInput)).size === inputBytes &&
+      grownOutput.status === 'unimproved' &&
+      grownOutput.outputSize > grownOutput.inputSize &&
+      (await listed('grown')).join() === 'growing.png' &&
+      growingKept &&
+      invalidMode?.code === 'ERR_INVALID_OPTION'
+    ) {
+      console.log('✓ Outputs below minSaving are kept, replaced by the original or skipped, and never remove the input');
+    } else {
+      console.log('✗ ifLarger policy failed');
+    }
+    console.log(keptOutput.message);
+    console.log(copiedOriginal.message);
+    console.log(skippedLarger.message);
+
+    // Test 31: Atomic writes and in-place optimization
+    console.log('\nTest 31: In-place optimization');
+    const inPlaceDir = path.join(outputDir, 'in-place');
+    await fs.mkdir(path.join(inPlaceDir, 'nested'), { recursive: true });
+    const noisyImage = () =>
+      sharp({
+        create: {
+          width: 160,
+          height: 120,
+          channels: 3,
+          noise: { type: 'gaussian', mean: 128, sigma: 40 }
+        }
+      });
+    const inPlacePhoto = path.join(inPlaceDir, 'photo.jpg');
+    await noisyImage().jpeg({ quality: 100 }).toFile(inPlacePhoto);
+    await noisyImage().jpeg({ quality: 100 }).toFile(path.join(inPlaceDir, 'nested', 'b.jpeg'));
+    await noisyImage().png().toFile(path.join(inPlaceDir, 'nested', 'c.png'));
+    await fs.writeFile(path.join(inPlaceDir, 'notes.txt'), 'not an image');
+    const photoBytes = (await fs.stat(inPlacePhoto)).size;
+    const photoData = await fs.readFile(inPlacePhoto);
+
+    const optimized = await processor.processFile({
+      input: inPlacePhoto,
+      inPlace: true,
+      processingOptions: { quality: 60 }
+    });
+    const optimizedBytes = (await fs.stat(inPlacePhoto)).size;
+    // Restored, the file is optimized again rather than answered from memory
+    await fs.writeFile(inPlacePhoto, photoData);
+    const restoredOptimized = await processor.processFile({
+      input: inPlacePhoto,
+      inPlace: true,
+      processingOptions: { quality: 60 }
+    });
+    const restoredBytes = (await fs.stat(inPlacePhoto)).size;
+    const reoptimized = await processor.processFile({
+      input: inPlacePhoto,
+      inPlace: true,
+      processingOptions: { quality: 100 }
+    });
+    const sameFormatRemove = await processor.processFile({
+      input: inPlacePhoto,
+      output: inPlacePhoto,
+      format: 'jpeg',
+      processingOptions: { quality: 50, remove: true }
+    });
+    const wrongFormat = await processor
+      .processFile({ input: inPlacePhoto, format: 'webp', inPlace: true })
+      .then(() => null, (error) => error);
+    const inPlaceBatch = await processor.processFolder({
+      folder: inPlaceDir,
+      recursive: true,
+      inPlace: true,
+      processingOptions: { quality: 40 }
+    });
+    const inPlaceFiles = [
+      ...(await fs.readdir(inPlaceDir)),
+      ...(await fs.readdir(path.join(inPlaceDir, 'nested')))
+    ].sort();
+    const decoded = await sharp(inPlacePhoto).metadata();
+
+    if (
+      optimized.status === 'improved' &&
+      optimized.outputPath === inPlacePhoto &&
+      optimizedBytes < photoBytes &&
+      optimizedBytes === optimized.outputSize &&
+      restoredOptimized.status === 'improved' &&
+      restoredBytes === restoredOptimized.outputSize &&
+      restoredBytes < photoBytes &&
+      reoptimized.status === 'skipped' &&
+      sameFormatRemove.success &&
+      wrongFormat?.code === 'ERR_INVALID_OPTION' &&
+      inPlaceBatch.map((result) => result.relativePath).join() ===
+        ['nested/b.jpeg', 'nested/c.png', 'photo.jpg'].map((file) => path.normalize(file)).join() &&
+      inPlaceBatch.every((result) => result.success && result.outputPath === result.inputPath) &&
+      inPlaceFiles.join() === 'b.jpeg,c.png,nested,notes.txt,photo.jpg' &&
+      decoded.format === 'jpeg' &&
+      decoded.width === 160
+    ) {
+      console.log('✓ Inputs are optimized in place through verified atomic writes');
+    } else {
+      console.log('✗ In-place optimization failed');
+    }
+    console.log(`photo.jpg: ${photoBytes} → ${optimizedBytes} bytes`);
+    console.log('Batch statuses:', inPlaceBatch.map((result) => result.status));
+
+    // Test 32: Project configuration with per-glob rules
+    console.log('\nTest 32: Project configuration');
+    const projectDir = path.join(outputDir, 'project');
+    await fs.mkdir(path.join(projectDir, 'icons'), { recursive: true });
+    await fs.mkdir(path.join(projectDir, 'photos', '2024'), { recursive: true });
+    await noisyImage().jpeg().toFile(path.join(projectDir, 'icons', 'logo.jpg'));
+    await noisyImage().png().toFile(path.join(projectDir, 'photos', '2024', 'beach.png'));
+    await noisyImage().png().toFile(path.join(projectDir, 'banner.png'));
+    await fs.writeFile(
+      path.join(projectDir, 'crushify.config.json'),
+      JSON.stringify({
+        dest: 'dist',
+        quality: 70,
+        rules: {
+          'icons/**': { format: 'png', palette: true },
+          'photos/**': { format: 'avif', quality: 55 }
+        }
+      })
+    );
+    // package.json is only read when no crushify.config.* is found
+    const packageDir = path.join(projectDir, 'packaged', 'src');
+    await fs.mkdir(packageDir, { recursive: true });
+    await fs.writeFile(
+      path.join(projectDir, 'packaged', 'package.json'),
+      JSON.stringify({ name: 'packaged', crushify: { format: 'webp', quality: 65 } })
+    );
+
+    const beachPath = path.join(projectDir, 'photos', '2024', 'beach.png');
+    const discovered = await findConfig(path.join(projectDir, 'photos', '2024'));
+    const packaged = await findConfig(packageDir);
+    const beachSettings = configFor(discovered, beachPath);
+    const configured = new ImageProcessor({ config: path.join(projectDir, 'crushify.config.json') });
+    const configuredBatch = await configured.processFolder({ folder: projectDir, recursive: true });
+    const overridden = await configured.processFile({
+      input: beachPath,
+      output: path.join(projectDir, 'override.webp'),
+      format: 'webp',
+      processingOptions: { quality: 90 }
+    });
+    const unconfigured = await new ImageProcessor()
+      .processFile({ input: path.join(projectDir, 'banner.png') })
+      .then(() => null, (error) => error);
+    const badRule = await new ImageProcessor({ config: { rules: { 'a/**': { dest: 'x' } } } })
+      .processFile({ input: beachPath, format: 'webp' })
+      .then(() => null, (error) => error);
+    const batchOutputs = Object.fromEntries(
+      configuredBatch.map((result) => [
+        result.relativePath.split(path.sep).join('/'),
+        path.relative(projectDir, result.outputPath).split(path.sep).join('/')
+      ])
+    );
+
+    if (
+      globToRegExp('icons/**').test('icons/ui/close.png') &&
+      !globToRegExp('icons/**').test('assets/icons/close.png') &&
+      globToRegExp('*.{jpg,png}').test('photos/a.png') &&
+      discovered.dest === path.join(projectDir, 'dist') &&
+      beachSettings.format === 'avif' &&
+      beachSettings.processingOptions.quality === 55 &&
+      packaged.root === path.join(projectDir, 'packaged') &&
+      packaged.defaults.quality === 65 &&
+      batchOutputs['icons/logo.jpg'] === 'dist/icons/logo.png' &&
+      batchOutputs['photos/2024/beach.png'] === 'dist/photos/2024/beach.avif' &&
+      !('banner.png' in batchOutputs) &&
+      configuredBatch.find((result) => result.outputFormat === 'avif')?.encoderOptions.quality === 55 &&
+      configuredBatch.find((result) => result.outputFormat === 'png')?.encoderOptions.palette === true &&
+      overridden.outputFormat === 'webp' &&
+      overridden.encoderOptions.quality === 90 &&
+      unconfigured?.code === 'ERR_INVALID_OPTION' &&
+      badRule?.code === 'ERR_INVALID_OPTION'
+    ) {
+      console.log('✓ Configuration defaults and glob rules apply, call options take precedence');
+    } else {
+      console.log('✗ Project configuration failed');
+    }
+    console.log('Configured outputs:', batchOutputs);
+
+    // Test 33: CLI option validation
+    console.log('\nTest 33: CLI option validation');
+    const parseFlags = (flags) =>
+      optionsConvert(
+        () => {},
+        {
+          file: { value: path.join(testDir, 'test.svg') },
+          dest: { value: outputDir },
+          config: { value: 'false' },
+          ...Object.fromEntries(Object.entries(flags).map(([flag, value]) => [flag, { value }]))
+        },
+        {}
+      ).then((options) => options, (error) => error);
+    const cliOptions = {
+      metadata: await parseFlags({ metadata: 'strip' }),
+      badMetadata: await parseFlags({ metadata: 'stirp' }),
+      fit: await parseFlags({ width: '100', fit: 'contain' }),
+      badFit: await parseFlags({ width: '100', fit: 'contian' }),
+      crop: await parseFlags({ crop: '1:1', 'crop-strategy': 'entropy', 'crop-focal': '30,40' }),
+      badStrategy: await parseFlags({ crop: '1:1', 'crop-strategy': 'entrophy' }),
+      badFocal: await parseFlags({ crop: '1:1', 'crop-focal': '0.3' }),
+      outsideFocal: await parseFlags({ crop: '1:1', 'crop-focal': '30,140' }),
+      gravity: await parseFlags({ watermark: '© crushify', 'watermark-gravity': 'NorthWest' }),
+      badGravity: await parseFlags({ watermark: '© crushify', 'watermark-gravity': 'top-left' })
+    };
+
+    if (
+      cliOptions.metadata.processingOptions.metadata.mode === 'strip' &&
+      cliOptions.badMetadata?.code === 'ERR_INVALID_OPTION' &&
+      cliOptions.fit.processingOptions.fit === 'contain' &&
+      cliOptions.badFit?.code === 'ERR_INVALID_OPTION' &&
+      cliOptions.crop.processingOptions.crop.strategy === 'entropy' &&
+      cliOptions.crop.processingOptions.crop.focal.x === 0.3 &&
+      cliOptions.crop.processingOptions.crop.focal.y === 0.4 &&
+      cliOptions.badStrategy?.code === 'ERR_INVALID_OPTION' &&
+      cliOptions.badFocal?.code === 'ERR_INVALID_OPTION' &&
+      cliOptions.outsideFocal?.code === 'ERR_INVALID_OPTION' &&
+      cliOptions.gravity.processingOptions.watermark.gravity === 'northwest' &&
+      cliOptions.badGravity?.code === 'ERR_INVALID_OPTION'
+    ) {
+      console.log('✓ Invalid CLI values are rejected instead of ignored');
+    } else {
+      console.log('✗ CLI option validation failed');
+    }
+    console.log(
+      'CLI errors:',
+      Object.values(cliOptions)
+        .filter((result) => result instanceof Error)
+        .map((error) => error.message)
+    );
+
     console.log('\n🎉 All tests completed!');
 
   } catch (error) {
@@ -0,0 +1,44 @@
+// types/config.d.ts
+import { ProcessingOptions } from './main';
+
+export const CONFIG_FILES: string[];
+
+/** Options a rule applies to the files its glob matches */
+export interface ConfigRule extends ProcessingOptions {
+  format?: string;
+  [option: string]: unknown;
+}
+
+/** Contents of crushify.config.json, crushify.config.mjs or package.json's "crushify" key */
+export interface CrushifyConfig extends ConfigRule {
+  /** Folder globs are matched against, relative to the configuration file */
+  root?: string;
+  /** Output folder, relative to root */
+  dest?: string;
+  /** Overrides by glob, applied in order: { "icons/**": { format: "png", palette: true } } */
+  rules?: Record<string, ConfigRule>;
+}
+
+export interface ProjectConfig {
+  path: string | null;
+  root: string;
+  dest?: string;
+  defaults: CrushifyConfig;
+  rules: Array<{ glob: string; pattern: RegExp; overrides: ConfigRule }>;
+}
+
+export function findConfig(from?: string): Promise<ProjectConfig | null>;
+
+export function loadConfig(configPath: string): Promise<ProjectConfig>;
+
+export function createConfig(
+  config: CrushifyConfig,
+  source?: { path?: string; root?: string }
+): ProjectConfig;
+
+export function configFor(
+  project: ProjectConfig,
+  filePath: string
+): { format?: string; processingOptions: ProcessingOptions };
+
+export function globToRegExp(glob: string): RegExp;
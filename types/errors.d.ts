@@ -0,0 +1,51 @@
+// types/errors.d.ts
+
+export type CrushifyErrorCode =
+  | "ERR_CRUSHIFY"
+  | "ERR_CANCELLED"
+  | "ERR_UNSUPPORTED_FORMAT"
+  | "ERR_INVALID_INPUT"
+  | "ERR_INVALID_OPTION"
+  | "ERR_DECODE"
+  | "ERR_ENCODE"
+  | "ERR_OUTPUT_WRITE";
+
+export interface CrushifyErrorOptions {
+  code?: CrushifyErrorCode;
+  filePath?: string;
+  cause?: unknown;
+}
+
+export class CrushifyError extends Error {
+  constructor(message: string, options?: CrushifyErrorOptions);
+  code: CrushifyErrorCode;
+  /** File the error relates to ("buffer" for in-memory input) */
+  filePath?: string;
+  cause?: unknown;
+  /** Same as cause; kept for errors wrapped by the processor */
+  originalError?: unknown;
+}
+
+export class UnsupportedFormatError extends CrushifyError {
+  code: "ERR_UNSUPPORTED_FORMAT";
+}
+
+export class InvalidInputError extends CrushifyError {
+  code: "ERR_INVALID_INPUT";
+}
+
+export class InvalidOptionError extends CrushifyError {
+  code: "ERR_INVALID_OPTION";
+}
+
+export class DecodeError extends CrushifyError {
+  code: "ERR_DECODE";
+}
+
+export class EncodeError extends CrushifyError {
+  code: "ERR_ENCODE";
+}
+
+export class OutputWriteError extends CrushifyError {
+  code: "ERR_OUTPUT_WRITE";
+}
@@ -1,5 +1,10 @@
 // types/main.d.ts
 import { EventEmitter } from 'events';
+import { Transform } from 'stream';
+import { CrushifyError } from './errors';
+import { CrushifyConfig } from './config';
+
+export * from './errors';
 
 export interface ProcessingOptions {
   quality?: number;
@@ -9,18 +14,160 @@ export interface ProcessingOptions {
   chromaSubsampling?: string;
   mozjpeg?: boolean;
   remove?: boolean;
+  width?: number;
+  height?: number;
+  fit?: 'cover' | 'contain' | 'fill' | 'inside' | 'outside';
+  position?: string | number;
+  withoutEnlargement?: boolean;
+  maxPixels?: number;
+  targetSize?: number;
+  targetSSIM?: number;
+  candidates?: string[];
+  persistentCache?: boolean | string;
+  metadata?: MetadataMode | MetadataOptions;
+  animated?: boolean;
+  maxFrames?: number;
+  frameStep?: number;
+  watermark?: string | Buffer | WatermarkOptions;
+  crop?: string | number | CropOptions;
+  placeholders?: boolean | PlaceholderKind[] | PlaceholderOptions;
+  ifLarger?: IfLargerMode;
+  minSaving?: number;
+}
+
+export type IfLargerMode = "keep-output" | "copy-original" | "skip";
+
+export type ResultStatus =
+  | "improved"
+  | "unimproved"
+  | "original"
+  | "skipped"
+  | "unchanged"
+  | "failed";
+
+export type PlaceholderKind = "blurhash" | "thumbhash" | "dominantColor" | "preview";
+
+export interface PlaceholderOptions {
+  kinds?: PlaceholderKind[];
+  components?: [number, number];
+  previewSize?: number;
+}
+
+export interface Placeholders {
+  blurhash?: string;
+  thumbhash?: string;
+  dominantColor?: string;
+  preview?: string;
+}
+
+export interface CropOptions {
+  aspect: string | number;
+  strategy?: "attention" | "entropy" | "centre" | "center";
+  focal?: { x: number; y: number };
+  sidecar?: boolean | string;
+}
+
+export interface CropRegion {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+  strategy: "attention" | "entropy" | "centre" | "focal";
+}
+
+export type MetadataMode = "keep" | "strip" | "icc-only";
+
+export interface MetadataOptions {
+  mode?: MetadataMode;
+  keep?: string[];
+  copyright?: string;
+  artist?: string;
+  /** Keep (true) or drop (false) the input's XMP regardless of mode */
+  xmp?: boolean;
+}
+
+export type WatermarkGravity =
+  | "north"
+  | "northeast"
+  | "east"
+  | "southeast"
+  | "south"
+  | "southwest"
+  | "west"
+  | "northwest"
+  | "centre"
+  | "center";
+
+export interface WatermarkOptions {
+  image?: string | Buffer;
+  text?: string;
+  gravity?: WatermarkGravity;
+  offset?: number | { x?: number; y?: number };
+  opacity?: number;
+  scale?: number;
+  tile?: boolean;
+  font?: string;
+  color?: string;
+}
+
+export interface PlannedOperation {
+  action: "convert" | "skip";
+  reason?: "unsupported" | "unchanged";
+  input: string;
+  output?: string;
+  format?: string;
+  inputSize?: number;
+  overwrite?: boolean;
+  removeInput?: boolean;
+  estimatedSize?: number;
 }
 
 export interface ProcessingResult {
   success: boolean;
+  status?: ResultStatus;
+  inputPath?: string;
+  outputPath?: string;
+  inputFormat?: string;
+  outputFormat?: string;
+  width?: number;
+  height?: number;
+  inputSize?: number;
+  outputSize?: number;
+  savedSize?: number;
+  savingPercent?: number;
+  durationMs?: number;
+  encoderOptions?: Record<string, unknown>;
+  skipped?: boolean;
+  dryRun?: boolean;
+  plan?: PlannedOperation;
   message: string;
+  relativePath?: string;
   stats?: {
     inputSize: number;
     outputSize: number;
     savedSize: number;
     savingPercent: string;
+    width?: number;
+    height?: number;
+    quality?: number;
+    effort?: number;
+    attempts?: number;
+    ssim?: number;
+    format?: string;
+    candidates?: Record<string, number>;
+    frames?: number;
+    convertedSize?: number;
+    minSaving?: number;
+    crop?: CropRegion;
+    placeholders?: Placeholders;
+    metadata?: {
+      mode: MetadataMode;
+      exif: string[];
+      icc: boolean;
+      xmp: boolean;
+    };
   };
-  error?: Error;
+  error?: CrushifyError;
 }
 
 export interface ProcessFolderProgress {
@@ -29,28 +176,136 @@ export interface ProcessFolderProgress {
   result: ProcessingResult;
 }
 
+export interface ResponsiveVariant {
+  format: string;
+  mimeType: string;
+  width: number;
+  height: number;
+  size: number;
+  path: string;
+  url: string;
+}
+
+export interface ResponsiveSet {
+  input: string;
+  width: number;
+  height: number;
+  sizes: string;
+  variants: ResponsiveVariant[];
+  markup: string;
+  manifestPath: string;
+}
+
+export interface BufferResult {
+  data: Buffer;
+  info: {
+    format: string;
+    width: number;
+    height: number;
+    channels: number;
+    size: number;
+    mimeType: string;
+    extension: string;
+    [key: string]: unknown;
+  };
+  stats: NonNullable<ProcessingResult['stats']>;
+  status: "improved" | "unimproved";
+  inputFormat: string;
+  outputFormat: string;
+  durationMs: number;
+  encoderOptions: Record<string, unknown>;
+}
+
+export interface BufferOptions {
+  format: string;
+  processingOptions?: ProcessingOptions;
+  signal?: AbortSignal;
+}
+
+/** true looks the configuration up from the working directory; false or null disables it */
+export type ConfigOption = boolean | string | CrushifyConfig | null;
+
 export default class ImageProcessor extends EventEmitter {
-  constructor();
+  constructor(options?: { config?: ConfigOption });
   
-  processFile(options: {
-    input: string;
-    output?: string;
-    format: string;
-    processingOptions?: ProcessingOptions;
-  }): Promise<ProcessingResult>;
+  processFile(
+    options: {
+      input: string;
+      output?: string;
+      dest?: string;
+      processingOptions?: ProcessingOptions;
+      config?: ConfigOption;
+      dryRun?: boolean;
+      estimate?: boolean;
+      signal?: AbortSignal;
+      /** Required unless the project configuration gives the input one */
+      format?: string;
+      inPlace?: boolean;
+    }
+  ): Promise<ProcessingResult>;
+  
+  processBuffer(buffer: Buffer, options: BufferOptions): Promise<BufferResult>;
+  
+  createTransformStream(options: BufferOptions): Transform;
   
   processFolder(
     options: {
       folder: string;
-      dest: string;
-      format: string;
       processingOptions?: ProcessingOptions;
-    },
+      config?: ConfigOption;
+      recursive?: boolean;
+      maxDepth?: number;
+      skipSymlinks?: boolean;
+      skipHidden?: boolean;
+      concurrency?: number;
+      dryRun?: boolean;
+      estimate?: boolean;
+      manifest?: string | boolean;
+      report?: string;
+      signal?: AbortSignal;
+    } & (
+      /** Without format and dest, the project configuration's are used */
+      | { dest?: string; format?: string; inPlace?: false }
+      | { inPlace: true; format?: string; dest?: string }
+    ),
     progressCallback?: (progress: ProcessFolderProgress) => void
-  ): Promise<ProcessingResult[]>;
+  ): Promise<ProcessingResult[] & { aborted: boolean }>;
+  
+  generateResponsiveSet(options: {
+    input: string;
+    dest: string;
+    widths?: number[];
+    formats?: string[];
+    fallback?: string;
+    sizes?: string;
+    baseUrl?: string;
+    alt?: string;
+    processingOptions?: ProcessingOptions;
+  }): Promise<ResponsiveSet>;
+  
+  listImages(options: {
+    folder: string;
+    extensions?: string[];
+    recursive?: boolean;
+    maxDepth?: number;
+    skipSymlinks?: boolean;
+    skipHidden?: boolean;
+    exclude?: string;
+  }): Promise<string[]>;
+  
+  watchFolder(options: {
+    folder: string;
+    dest: string;
+    format: string;
+    processingOptions?: ProcessingOptions;
+    recursive?: boolean;
+    debounce?: number;
+    config?: ConfigOption;
+  }): { close(): void };
   
   getStats(): {
     processed: number;
+    improved: number;
     failed: number;
     skipped: number;
     totalSaved: number;
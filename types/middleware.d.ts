@@ -0,0 +1,33 @@
+// types/middleware.d.ts
+import { IncomingMessage, ServerResponse } from 'http';
+import ImageProcessor from './main';
+
+export interface MiddlewareRule {
+  match: string | RegExp;
+  width?: number;
+  height?: number;
+  quality?: number;
+  format?: string;
+  fit?: 'cover' | 'contain' | 'fill' | 'inside' | 'outside';
+}
+
+export interface MiddlewareOptions {
+  root: string;
+  prefix?: string;
+  sizes?: number[];
+  formats?: string[];
+  fallback?: string;
+  quality?: number;
+  rules?: MiddlewareRule[];
+  cacheDir?: string;
+  maxAge?: number;
+  processor?: ImageProcessor;
+}
+
+export type Middleware = (
+  req: IncomingMessage,
+  res: ServerResponse,
+  next?: (error?: Error) => void
+) => void;
+
+export function createMiddleware(options: MiddlewareOptions): Middleware;
@@ -0,0 +1,27 @@
+// types/placeholders.d.ts
+import { PlaceholderKind, PlaceholderOptions, Placeholders } from './main';
+
+export const PLACEHOLDER_KINDS: PlaceholderKind[];
+
+export function createPlaceholders(
+  input: string | Buffer,
+  options?: PlaceholderOptions
+): Promise<Placeholders>;
+
+export function placeholdersFromPixels(
+  pixels: Buffer,
+  size: { width: number; height: number },
+  options?: PlaceholderOptions
+): Promise<Placeholders>;
+
+export function encodeBlurHash(
+  pixels: Buffer,
+  width: number,
+  height: number,
+  componentsX?: number,
+  componentsY?: number
+): string;
+
+export function encodeThumbHash(pixels: Buffer, width: number, height: number): Uint8Array;
+
+export function dominantColor(pixels: Buffer, width: number, height: number): string;
@@ -0,0 +1,38 @@
+// types/report.d.ts
+
+export const REPORT_FORMATS: Array<"json" | "csv" | "html">;
+
+export interface ReportRow {
+  input: string;
+  output?: string;
+  status: "improved" | "unimproved" | "original" | "skipped" | "unchanged" | "failed";
+  inputFormat: string;
+  outputFormat?: string;
+  width?: number;
+  height?: number;
+  inputSize?: number;
+  outputSize?: number;
+  savedSize?: number;
+  savingPercent?: number;
+  durationMs: number;
+  error?: string;
+}
+
+export interface ReportTotals {
+  files: number;
+  improved: number;
+  unimproved: number;
+  original: number;
+  skipped: number;
+  unchanged: number;
+  failed: number;
+  inputSize: number;
+  outputSize: number;
+  savedSize: number;
+  savingPercent: number;
+  durationMs: number;
+}
+
+export function writeReport(reportPath: string, rows: ReportRow[]): Promise<string>;
+
+export function summarizeReport(rows: ReportRow[]): ReportTotals;
@@ -0,0 +1,7 @@
+// types/server.d.ts
+import { Server } from 'http';
+import { MiddlewareOptions } from './middleware';
+
+export type ServerOptions = MiddlewareOptions;
+
+export function createServer(options: ServerOptions): Server;
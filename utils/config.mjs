@@ -0,0 +1,245 @@
+// config.mjs
+import fs from "fs/promises";
+import path from "path";
+import { pathToFileURL } from "url";
+import { InvalidOptionError } from "./errors.mjs";
+
+// Looked for in this order in every folder, before package.json's "crushify" key
+export const CONFIG_FILES = ["crushify.config.json", "crushify.config.mjs"];
+
+// Keys that are not processing options
+const PROJECT_KEYS = ["root", "format", "dest", "rules"];
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string|null} path - File the configuration was loaded from
+ * @property {string} root - Folder globs are matched against
+ * @property {string} [dest] - Absolute output folder
+ * @property {Object} defaults - Global defaults as written
+ * @property {{glob: string, pattern: RegExp, overrides: Object}[]} rules - Per-glob overrides
+ */
+
+/**
+ * Looks for a project configuration in a folder and each of its parents
+ * @param {string} [from=process.cwd()] - Folder the search starts in
+ * @returns {Promise<ProjectConfig|null>} The nearest configuration, or null when there is none
+ */
+export async function findConfig(from = process.cwd()) {
+  let dir = path.resolve(from);
+
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const configPath = path.join(dir, name);
+      if (await isFile(configPath)) return loadConfig(configPath);
+    }
+
+    const packagePath = path.join(dir, "package.json");
+    if (await isFile(packagePath)) {
+      const pkg = await readJson(packagePath);
+      if (pkg.crushify !== undefined) {
+        return createConfig(pkg.crushify, { path: packagePath, root: dir });
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Loads a configuration file: crushify.config.json, a module whose default
+ * export is the configuration, or a package.json with a "crushify" key
+ * @param {string} configPath - Configuration file path
+ * @returns {Promise<ProjectConfig>}
+ */
+export async function loadConfig(configPath) {
+  const absolutePath = path.resolve(configPath);
+  let config;
+
+  if (path.extname(absolutePath) === ".json") {
+    config = await readJson(absolutePath);
+    if (path.basename(absolutePath) === "package.json") {
+      config = config.crushify;
+      if (config === undefined) {
+        throw new InvalidOptionError(`${absolutePath} has no "crushify" key`, {
+          filePath: absolutePath,
+        });
+      }
+    }
+  } else {
+    try {
+      config = (await import(pathToFileURL(absolutePath).href)).default;
+    } catch (error) {
+      throw new InvalidOptionError(
+        `Cannot load ${absolutePath}: ${error.message}`,
+        { filePath: absolutePath, cause: error }
+      );
+    }
+  }
+
+  return createConfig(config, {
+    path: absolutePath,
+    root: path.dirname(absolutePath),
+  });
+}
+
+/**
+ * Validates a configuration object. Globs, dest and a relative root are
+ * resolved against the folder the configuration was found in.
+ * @param {Object} config - Global defaults, plus rules: {glob: overrides}
+ * @param {Object} [source] - Where the configuration came from
+ * @param {string} [source.path] - Configuration file path
+ * @param {string} [source.root=process.cwd()] - Folder it applies to
+ * @returns {ProjectConfig}
+ */
+export function createConfig(config, { path: configPath = null, root = process.cwd() } = {}) {
+  const invalid = (message) =>
+    new InvalidOptionError(
+      configPath ? `Invalid configuration ${configPath}: ${message}` : `Invalid configuration: ${message}`,
+      { filePath: configPath ?? undefined }
+    );
+
+  if (!isObject(config)) throw invalid("expected an object");
+  if (config.rules !== undefined && !isObject(config.rules)) {
+    throw invalid('"rules" must map globs to options');
+  }
+  for (const [glob, overrides] of Object.entries(config.rules ?? {})) {
+    if (!isObject(overrides)) throw invalid(`the options for "${glob}" must be an object`);
+    if (overrides.dest !== undefined || overrides.rules !== undefined) {
+      throw invalid(`"${glob}" cannot set dest or rules`);
+    }
+  }
+
+  const base = path.resolve(root, config.root ?? ".");
+  return {
+    path: configPath,
+    root: base,
+    dest: config.dest ? path.resolve(base, config.dest) : undefined,
+    defaults: config,
+    rules: Object.entries(config.rules ?? {}).map(([glob, overrides]) => ({
+      glob,
+      pattern: globToRegExp(glob),
+      overrides,
+    })),
+  };
+}
+
+/**
+ * Settings for one file: the global defaults with every matching rule
+ * applied on top, in the order the rules are listed
+ * @param {ProjectConfig} project - Loaded configuration
+ * @param {string} filePath - Input file path
+ * @returns {{format?: string, processingOptions: Object}}
+ */
+export function configFor(project, filePath) {
+  const relativePath = path
+    .relative(project.root, path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+
+  const settings = { ...project.defaults };
+  for (const { pattern, overrides } of project.rules) {
+    if (pattern.test(relativePath)) Object.assign(settings, overrides);
+  }
+
+  const processingOptions = Object.fromEntries(
+    Object.entries(settings).filter(([key]) => !PROJECT_KEYS.includes(key))
+  );
+  return { format: settings.format, processingOptions };
+}
+
+/**
+ * Converts a glob to a regular expression matching paths relative to the
+ * project root. Supports **, *, ?, [...] and {a,b}; a glob without a slash
+ * matches file names in any folder ("*.png").
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const pattern = glob.replace(/^\.\//, "");
+  const source = globSource(pattern);
+  return new RegExp(pattern.includes("/") ? `^${source}$` : `^(?:.*/)?${source}$`);
+}
+
+/**
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Regular expression source, unanchored
+ */
+function globSource(pattern) {
+  let source = "";
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === "*" && pattern[index + 1] === "*") {
+      // "**/" spans any number of folders, a trailing "**" everything below
+      if (pattern[index + 2] === "/") {
+        source += "(?:[^/]*/)*";
+        index += 2;
+      } else {
+        source += ".*";
+        index += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", index + 1);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      source += `[${pattern.slice(index + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+      index = end;
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", index + 1);
+      if (end === -1) {
+        source += "\\{";
+        continue;
+      }
+      const options = pattern.slice(index + 1, end).split(",");
+      source += `(?:${options.map(globSource).join("|")})`;
+      index = end;
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return source;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether value is a plain object
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>}
+ */
+async function isFile(filePath) {
+  return fs.stat(filePath).then(
+    (stats) => stats.isFile(),
+    () => false
+  );
+}
+
+/**
+ * @param {string} filePath - JSON file path
+ * @returns {Promise<*>}
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    throw new InvalidOptionError(`Cannot read ${filePath}: ${error.message}`, {
+      filePath,
+      cause: error,
+    });
+  }
+}
@@ -0,0 +1,152 @@
+// contentCache.mjs
+import fs from "fs/promises";
+import { createReadStream } from "fs";
+import crypto from "crypto";
+import path from "path";
+
+/**
+ * On-disk index of previous conversions, keyed by a fingerprint of the
+ * input's content hash, the processing options, the encoder version and the
+ * output target. Lets repeated batch runs skip inputs that have not changed.
+ */
+export class ContentCache {
+  static FILE_NAME = ".crushify-cache.json";
+  static VERSION = 1;
+
+  #entries = new Map();
+  #saveTimer = null;
+  #pendingSave = Promise.resolve();
+  #dirty = false;
+
+  /**
+   * @param {string} indexPath - Location of the JSON index
+   */
+  constructor(indexPath) {
+    this.indexPath = indexPath;
+  }
+
+  /**
+   * Opens an index, starting empty when it is missing or unreadable
+   * @param {string} indexPath - Location of the JSON index
+   * @returns {Promise<ContentCache>}
+   */
+  static async open(indexPath) {
+    const cache = new ContentCache(indexPath);
+
+    try {
+      const index = JSON.parse(await fs.readFile(indexPath, "utf8"));
+      if (index.version === ContentCache.VERSION) {
+        cache.#entries = new Map(Object.entries(index.entries || {}));
+      }
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Ignoring unreadable cache index ${indexPath}: ${error.message}`);
+      }
+    }
+
+    return cache;
+  }
+
+  /**
+   * SHA-256 of a file's content
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string>}
+   */
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha256");
+      createReadStream(filePath)
+        .on("error", reject)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(hash.digest("hex")));
+    });
+  }
+
+  /**
+   * Builds the lookup key for a conversion
+   * @param {string} filePath - Input file path
+   * @param {Object} parts - Options, encoder version and output target
+   * @param {string[]} [parts.inputs] - Other files the output is built from (a watermark image), hashed like the input
+   * @returns {Promise<string>}
+   */
+  async fingerprint(filePath, { options, encoder, target, inputs = [] }) {
+    const contentHash = await ContentCache.hashFile(filePath);
+    const inputHashes = await Promise.all(inputs.map(ContentCache.hashFile));
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          contentHash,
+          options,
+          encoder,
+          path.relative(path.dirname(this.indexPath), target),
+          inputHashes,
+        ])
+      )
+      .digest("hex");
+  }
+
+  /**
+   * Returns the stored record when its output still exists unchanged
+   * @param {string} key - Fingerprint
+   * @returns {Promise<Object|null>}
+   */
+  async lookup(key) {
+    const record = this.#entries.get(key);
+    if (!record) return null;
+
+    const output = path.resolve(path.dirname(this.indexPath), record.output);
+    const stats = await fs.stat(output).catch(() => null);
+    if (!stats || stats.size !== record.outputSize) return null;
+
+    return { ...record, output };
+  }
+
+  /**
+   * Stores a record and schedules a write of the index
+   * @param {string} key - Fingerprint
+   * @param {Object} record - Output path, size and result
+   */
+  set(key, record) {
+    this.#entries.set(key, {
+      ...record,
+      output: path.relative(path.dirname(this.indexPath), record.output),
+    });
+    this.#dirty = true;
+
+    // Debounced so batches write the index once instead of once per file
+    clearTimeout(this.#saveTimer);
+    this.#saveTimer = setTimeout(() => {
+      this.flush().catch((error) =>
+        console.warn(`Could not write cache index ${this.indexPath}: ${error.message}`)
+      );
+    }, 200);
+  }
+
+  /**
+   * Writes pending changes to disk
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.#saveTimer);
+    this.#saveTimer = null;
+
+    // A failed write must not block the ones queued after it
+    this.#pendingSave = this.#pendingSave.catch(() => {}).then(async () => {
+      if (!this.#dirty) return;
+      this.#dirty = false;
+
+      const index = {
+        version: ContentCache.VERSION,
+        entries: Object.fromEntries(this.#entries),
+      };
+      const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+
+      await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(index));
+      await fs.rename(tempPath, this.indexPath);
+    });
+
+    return this.#pendingSave;
+  }
+}
@@ -0,0 +1,75 @@
+// errors.mjs
+
+/**
+ * Base class of every error thrown by crushify. `code` is stable across
+ * releases and is what callers should branch on; messages may change.
+ */
+export class CrushifyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {string} [options.code="ERR_CRUSHIFY"] - Stable error code
+   * @param {string} [options.filePath] - File the error relates to ("buffer" for in-memory input)
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { code = "ERR_CRUSHIFY", filePath, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    this.code = code;
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * The requested output format is unknown, or cannot be produced from the input's format
+ */
+export class UnsupportedFormatError extends CrushifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ERR_UNSUPPORTED_FORMAT" });
+  }
+}
+
+/**
+ * The input is missing, unreadable, not a file or not image data
+ */
+export class InvalidInputError extends CrushifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ERR_INVALID_INPUT" });
+  }
+}
+
+/**
+ * An option has a value crushify cannot work with
+ */
+export class InvalidOptionError extends CrushifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ERR_INVALID_OPTION" });
+  }
+}
+
+/**
+ * The input could not be decoded (corrupt, truncated or unrecognized image data)
+ */
+export class DecodeError extends CrushifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ERR_DECODE" });
+  }
+}
+
+/**
+ * The encoder failed, or no encoding met the requested constraints
+ */
+export class EncodeError extends CrushifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ERR_ENCODE" });
+  }
+}
+
+/**
+ * The output could not be written (permissions, disk full, ...)
+ */
+export class OutputWriteError extends CrushifyError {
+  constructor(message, options = {}) {
+    super(message, { ...options, code: "ERR_OUTPUT_WRITE" });
+  }
+}
@@ -0,0 +1,140 @@
+// exif.mjs
+
+/**
+ * Tag names by IFD, using the section names sharp's withExif() expects
+ * (IFD0 = primary image, IFD2 = Exif sub-IFD, IFD3 = GPS)
+ */
+const TAG_NAMES = {
+  IFD0: {
+    0x010e: "ImageDescription",
+    0x010f: "Make",
+    0x0110: "Model",
+    0x0112: "Orientation",
+    0x011a: "XResolution",
+    0x011b: "YResolution",
+    0x0128: "ResolutionUnit",
+    0x0131: "Software",
+    0x0132: "DateTime",
+    0x013b: "Artist",
+    0x013c: "HostComputer",
+    0x0213: "YCbCrPositioning",
+    0x8298: "Copyright",
+  },
+  IFD2: {
+    0x829a: "ExposureTime",
+    0x829d: "FNumber",
+    0x8827: "ISOSpeedRatings",
+    0x9000: "ExifVersion",
+    0x9003: "DateTimeOriginal",
+    0x9004: "DateTimeDigitized",
+    0x9010: "OffsetTime",
+    0x9011: "OffsetTimeOriginal",
+    0x9101: "ComponentsConfiguration",
+    0x920a: "FocalLength",
+    0xa000: "FlashpixVersion",
+    0xa001: "ColorSpace",
+    0xa002: "PixelXDimension",
+    0xa003: "PixelYDimension",
+    0xa420: "ImageUniqueID",
+    0xa430: "CameraOwnerName",
+    0xa431: "BodySerialNumber",
+    0xa433: "LensMake",
+    0xa434: "LensModel",
+    0xa435: "LensSerialNumber",
+  },
+  IFD3: {
+    0x0000: "GPSVersionID",
+    0x0001: "GPSLatitudeRef",
+    0x0002: "GPSLatitude",
+    0x0003: "GPSLongitudeRef",
+    0x0004: "GPSLongitude",
+    0x0005: "GPSAltitudeRef",
+    0x0006: "GPSAltitude",
+    0x0007: "GPSTimeStamp",
+    0x001d: "GPSDateStamp",
+  },
+};
+
+const EXIF_POINTER = 0x8769;
+const GPS_POINTER = 0x8825;
+
+// Byte size of one value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Reads the tags of an EXIF block, as returned by sharp's metadata().exif.
+ * Text and single integer values are decoded; other values are reported
+ * as null so callers can still see which tags are present.
+ * @param {Buffer} [buffer] - Raw EXIF data, with or without the "Exif\0\0" header
+ * @returns {{IFD0: Object, IFD2: Object, IFD3: Object}} Tag values by IFD and name
+ */
+export function parseExif(buffer) {
+  const sections = { IFD0: {}, IFD2: {}, IFD3: {} };
+  if (!buffer || buffer.length < 8) return sections;
+
+  const tiff =
+    buffer.toString("latin1", 0, 4) === "Exif" ? buffer.subarray(6) : buffer;
+  const byteOrder = tiff.toString("latin1", 0, 2);
+  if (byteOrder !== "II" && byteOrder !== "MM") return sections;
+
+  const little = byteOrder === "II";
+  const uint16 = (offset) =>
+    little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const uint32 = (offset) =>
+    little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+  const readIfd = (offset, section) => {
+    if (offset + 2 > tiff.length) return;
+    const count = uint16(offset);
+
+    for (let index = 0; index < count; index++) {
+      const entry = offset + 2 + index * 12;
+      if (entry + 12 > tiff.length) return;
+
+      const tag = uint16(entry);
+      const type = uint16(entry + 2);
+      const components = uint32(entry + 4);
+
+      if (section === "IFD0" && tag === EXIF_POINTER) {
+        readIfd(uint32(entry + 8), "IFD2");
+        continue;
+      }
+      if (section === "IFD0" && tag === GPS_POINTER) {
+        readIfd(uint32(entry + 8), "IFD3");
+        continue;
+      }
+
+      const name =
+        TAG_NAMES[section][tag] ?? `0x${tag.toString(16).padStart(4, "0")}`;
+      const size = (TYPE_SIZES[type] ?? 0) * components;
+      const valueOffset = size > 4 ? uint32(entry + 8) : entry + 8;
+
+      let value = null;
+      if (valueOffset + size <= tiff.length) {
+        if (type === 2) {
+          value = tiff
+            .toString("latin1", valueOffset, valueOffset + size)
+            .replace(/\0+$/, "");
+        } else if (type === 3 && components === 1) {
+          value = uint16(valueOffset);
+        } else if (type === 4 && components === 1) {
+          value = uint32(valueOffset);
+        }
+      }
+
+      sections[section][name] = value;
+    }
+  };
+
+  readIfd(uint32(4), "IFD0");
+  return sections;
+}
+
+/**
+ * Lists the tag names present in parsed EXIF sections
+ * @param {{IFD0: Object, IFD2: Object, IFD3: Object}} sections - Result of parseExif()
+ * @returns {string[]}
+ */
+export function exifTagNames(sections) {
+  return Object.values(sections).flatMap((tags) => Object.keys(tags));
+}
@@ -0,0 +1,378 @@
+// middleware.mjs
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+import sharp from "sharp";
+import ImageProcessor from "../main.mjs";
+import { InvalidOptionError } from "./errors.mjs";
+
+const DEFAULTS = {
+  prefix: "/img",
+  sizes: [320, 640, 960, 1280, 1920],
+  formats: ["avif", "webp", "jpeg", "png"],
+  fallback: "jpeg",
+  quality: 80,
+  maxAge: 86400,
+  rules: [],
+};
+
+// Formats offered through Accept negotiation, in order of preference
+const NEGOTIATED = [
+  ["avif", "image/avif"],
+  ["webp", "image/webp"],
+];
+
+/**
+ * Error carrying the HTTP status it should be answered with
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Creates a Connect/Express-style (req, res, next) middleware that serves
+ * optimized variants of the images below a source root, e.g.
+ * GET /img/photos/a.jpg?w=800&format=webp&q=75. Requests outside the prefix,
+ * for missing files or for files no format can read are passed to next().
+ * Works with plain http handlers too; without next() they are answered 404.
+ * @param {Object} options - Middleware options
+ * @param {string} options.root - Folder the images are served from
+ * @param {string} [options.prefix="/img"] - URL path the images are mounted on ("/" when mounted by the framework)
+ * @param {number[]} [options.sizes] - Allowed values for the w and h query parameters
+ * @param {string[]} [options.formats] - Formats clients may request
+ * @param {string} [options.fallback] - Format for clients accepting neither AVIF nor WebP (default jpeg, png for sources with transparency)
+ * @param {number} [options.quality=80] - Quality when q is not given
+ * @param {Object[]} [options.rules] - Per-path defaults: {match: string|RegExp, width, height, quality, format, fit}
+ * @param {string} [options.cacheDir] - Folder for generated variants (defaults to a temp folder)
+ * @param {number} [options.maxAge=86400] - Cache-Control max-age in seconds
+ * @param {ImageProcessor} [options.processor] - Processor to convert with
+ * @returns {Function} (req, res, next) handler
+ */
+export function createMiddleware(options) {
+  const settings = { ...DEFAULTS, ...options };
+  if (!settings.root) {
+    throw new Error("createMiddleware requires a root folder");
+  }
+
+  const root = path.resolve(settings.root);
+  const cacheDir = path.resolve(
+    settings.cacheDir || path.join(os.tmpdir(), "crushify-serve")
+  );
+  const processor = settings.processor || new ImageProcessor();
+
+  // A format without a mapping would fail every request it is picked for
+  const isOutputFormat = (format) =>
+    typeof format === "string" && Boolean(processor.getFormt(format)?.mimeType);
+  if (!isOutputFormat(settings.fallback)) {
+    throw new InvalidOptionError(`Unsupported fallback format: ${settings.fallback}`);
+  }
+  for (const rule of settings.rules) {
+    if (rule.format !== undefined && !isOutputFormat(rule.format)) {
+      throw new InvalidOptionError(
+        `Unsupported format in rule ${rule.match}: ${rule.format}`
+      );
+    }
+  }
+  const trimmedPrefix = settings.prefix.replace(/^\/+|\/+$/g, "");
+  const prefix = trimmedPrefix ? `/${trimmedPrefix}/` : "/";
+  const pending = new Map();
+
+  const handle = async (req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return false;
+
+    const url = new URL(req.url, "http://localhost");
+    if (!url.pathname.startsWith(prefix)) return false;
+
+    const requestPath = url.pathname.slice(prefix.length);
+    const source = await resolveSource(root, requestPath);
+    if (!source) return false;
+
+    const rule = settings.rules.find(({ match }) =>
+      match instanceof RegExp
+        ? match.test(requestPath)
+        : requestPath.startsWith(match.replace(/^\/+/, ""))
+    );
+    const { match, ...ruleDefaults } = rule || {};
+    const request = {
+      quality: settings.quality,
+      ...ruleDefaults,
+      ...parseQuery(url.searchParams, settings),
+    };
+    let format = request.format || negotiate(req.headers.accept, settings);
+    // JPEG would flatten transparency, so unless a fallback was chosen such sources get PNG
+    if (
+      !request.format &&
+      format === "jpeg" &&
+      options.fallback === undefined &&
+      (await sharp(source).metadata().catch(() => ({}))).hasAlpha
+    ) {
+      format = "png";
+    }
+
+    // Files already in the chosen format are re-encoded; files it cannot read are left to the next handler
+    const formatConfig = processor.getFormt(format);
+    const extension = path.extname(source).toLowerCase();
+    if (
+      extension !== formatConfig.extension &&
+      !formatConfig.supportedInputs.includes(extension)
+    ) {
+      return false;
+    }
+
+    const sourceStats = await fs.stat(source);
+
+    // Every input that changes the bytes is part of the key
+    const key = crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          path.relative(root, source),
+          sourceStats.size,
+          sourceStats.mtimeMs,
+          request.width,
+          request.height,
+          request.quality,
+          request.fit,
+          format,
+        ])
+      )
+      .digest("hex")
+      .slice(0, 32);
+    const etag = `"${key}"`;
+
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", `public, max-age=${settings.maxAge}`);
+    if (!request.format) res.setHeader("Vary", "Accept");
+
+    if (matchesEtag(req.headers["if-none-match"], etag)) {
+      res.statusCode = 304;
+      res.end();
+      return true;
+    }
+
+    // Concurrent requests for the same variant share one conversion
+    if (!pending.has(key)) {
+      pending.set(
+        key,
+        loadVariant(processor, cacheDir, key, source, format, request).finally(
+          () => pending.delete(key)
+        )
+      );
+    }
+    const data = await pending.get(key);
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", formatConfig.mimeType);
+    res.setHeader("Content-Length", data.length);
+    res.end(req.method === "HEAD" ? undefined : data);
+    return true;
+  };
+
+  return function crushifyMiddleware(req, res, next = notFound(res)) {
+    handle(req, res).then(
+      (handled) => {
+        if (!handled) next();
+      },
+      (error) => {
+        if (res.headersSent) {
+          res.destroy(error);
+          return;
+        }
+        res.removeHeader("ETag");
+        res.removeHeader("Cache-Control");
+        res.removeHeader("Vary");
+
+        // Processing failures go to the framework's error handling
+        if (!error.status) {
+          next(error);
+          return;
+        }
+        res.statusCode = error.status;
+        res.setHeader("Content-Type", "text/plain; charset=utf-8");
+        res.end(error.message);
+      }
+    );
+  };
+}
+
+/**
+ * Default next() for plain http handlers
+ * @param {http.ServerResponse} res - Response
+ * @returns {Function}
+ */
+function notFound(res) {
+  return (error) => {
+    if (res.headersSent) return;
+    res.statusCode = error ? 500 : 404;
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.end(error ? "Image processing failed" : "Not found");
+  };
+}
+
+/**
+ * Maps a request path to a file inside root, refusing anything outside it
+ * @param {string} root - Absolute source root
+ * @param {string} requestPath - URL path below the prefix (still encoded)
+ * @returns {Promise<string|null>} Absolute file path, or null when there is no such file
+ */
+async function resolveSource(root, requestPath) {
+  let relative;
+  try {
+    relative = decodeURIComponent(requestPath);
+  } catch {
+    throw new HttpError(400, "Malformed path");
+  }
+  if (!relative || relative.includes("\0")) {
+    throw new HttpError(400, "Malformed path");
+  }
+
+  const resolved = path.resolve(root, relative);
+  if (!isInside(root, resolved)) {
+    throw new HttpError(403, "Forbidden");
+  }
+
+  // Symbolic links must not lead out of root either
+  const real = await fs.realpath(resolved).catch(() => null);
+  if (!real) return null;
+  if (!isInside(await fs.realpath(root), real)) {
+    throw new HttpError(403, "Forbidden");
+  }
+
+  return (await fs.stat(real)).isFile() ? real : null;
+}
+
+/**
+ * @param {string} parent - Absolute folder
+ * @param {string} child - Absolute path
+ * @returns {boolean} Whether child lies strictly below parent
+ */
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative !== "" && !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * @param {string} [header] - If-None-Match request header
+ * @param {string} etag - Current entity tag
+ * @returns {boolean} Whether the client already has this entity
+ */
+function matchesEtag(header, etag) {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === etag || tag === "*");
+}
+
+/**
+ * Validates the w, h, q and format query parameters
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Object} settings - Middleware settings
+ * @returns {{width?: number, height?: number, quality?: number, format?: string}}
+ * Only the parameters present in the query
+ */
+function parseQuery(params, settings) {
+  const request = {};
+
+  for (const [name, key] of [
+    ["w", "width"],
+    ["h", "height"],
+  ]) {
+    if (!params.has(name)) continue;
+    const value = Number(params.get(name));
+    if (!settings.sizes.includes(value)) {
+      throw new HttpError(
+        400,
+        `${name} must be one of: ${settings.sizes.join(", ")}`
+      );
+    }
+    request[key] = value;
+  }
+
+  if (params.has("q")) {
+    const quality = Number(params.get("q"));
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new HttpError(400, "q must be an integer between 1 and 100");
+    }
+    request.quality = quality;
+  }
+
+  if (params.has("format") && params.get("format") !== "auto") {
+    let format = params.get("format").toLowerCase();
+    if (format === "jpg") format = "jpeg";
+    if (!settings.formats.includes(format)) {
+      throw new HttpError(
+        400,
+        `format must be one of: ${settings.formats.join(", ")}`
+      );
+    }
+    request.format = format;
+  }
+
+  return request;
+}
+
+/**
+ * Picks the best format the client accepts
+ * @param {string} [accept] - Accept request header
+ * @param {Object} settings - Middleware settings
+ * @returns {string}
+ */
+function negotiate(accept = "", settings) {
+  const accepted = accept
+    .split(",")
+    .map((entry) => entry.split(";"))
+    // Types explicitly refused with q=0 do not count
+    .filter(([, ...params]) => !params.some((param) => /^\s*q=0(\.0*)?\s*$/.test(param)))
+    .map(([type]) => type.trim().toLowerCase());
+
+  const match = NEGOTIATED.find(
+    ([format, mimeType]) =>
+      settings.formats.includes(format) && accepted.includes(mimeType)
+  );
+  return match ? match[0] : settings.fallback;
+}
+
+/**
+ * Returns a variant from the disk cache, converting and storing it on a miss
+ * @param {ImageProcessor} processor - Processor to convert with
+ * @param {string} cacheDir - Variant cache folder
+ * @param {string} key - Variant key
+ * @param {string} source - Source file path
+ * @param {string} format - Output format
+ * @param {Object} request - Requested width, height, quality and fit
+ * @returns {Promise<Buffer>}
+ */
+async function loadVariant(processor, cacheDir, key, source, format, request) {
+  const cachePath = path.join(
+    cacheDir,
+    `${key}${processor.getFormt(format).extension}`
+  );
+
+  const cached = await fs.readFile(cachePath).catch(() => null);
+  if (cached) return cached;
+
+  const { width, height } = request;
+  const { data } = await processor.processBuffer(await fs.readFile(source), {
+    format,
+    processingOptions: {
+      quality: request.quality,
+      width,
+      height,
+      fit: request.fit || (width && height ? "cover" : "inside"),
+      withoutEnlargement: true,
+    },
+  });
+
+  // Written under a temporary name so readers never see a partial file
+  const tempPath = `${cachePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.mkdir(cacheDir, { recursive: true });
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, cachePath);
+
+  return data;
+}
@@ -0,0 +1,25 @@
+// options.mjs
+// Option values shared by the processor and the CLI
+
+/** Supported values of the metadata mode */
+export const METADATA_MODES = ["keep", "strip", "icc-only"];
+
+/** Supported crop strategies */
+export const CROP_STRATEGIES = ["attention", "entropy", "centre", "center"];
+
+/** Supported watermark placements */
+export const WATERMARK_GRAVITIES = [
+  "north",
+  "northeast",
+  "east",
+  "southeast",
+  "south",
+  "southwest",
+  "west",
+  "northwest",
+  "centre",
+  "center",
+];
+
+/** What happens to outputs that do not save minSaving */
+export const IF_LARGER_MODES = ["keep-output", "copy-original", "skip"];
@@ -0,0 +1,378 @@
+// placeholders.mjs
+import sharp from "sharp";
+import { InvalidOptionError } from "./errors.mjs";
+
+export const PLACEHOLDER_KINDS = ["blurhash", "thumbhash", "dominantColor", "preview"];
+
+// Placeholders are computed on a copy no larger than this (ThumbHash's limit)
+const SAMPLE_SIZE = 100;
+
+const BASE83 =
+  "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~";
+
+/**
+ * Computes placeholders for an image file or buffer, after EXIF rotation
+ * @param {string|Buffer} input - Image path or data
+ * @param {Object} [options] - Placeholder options
+ * @param {string[]} [options.kinds] - Placeholders to compute (defaults to all of PLACEHOLDER_KINDS)
+ * @param {number[]} [options.components=[4, 3]] - BlurHash components along x and y (1-9)
+ * @param {number} [options.previewSize=16] - Longest side of the inline preview in pixels
+ * @returns {Promise<{blurhash?: string, thumbhash?: string, dominantColor?: string, preview?: string}>}
+ */
+export async function createPlaceholders(input, options = {}) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize({
+      width: SAMPLE_SIZE,
+      height: SAMPLE_SIZE,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return placeholdersFromPixels(data, info, options);
+}
+
+/**
+ * Computes placeholders from already decoded RGBA pixels
+ * @param {Buffer} pixels - Raw RGBA pixels
+ * @param {{width: number, height: number}} size - Pixel dimensions
+ * @param {Object} [options] - Same options as createPlaceholders()
+ * @returns {Promise<{blurhash?: string, thumbhash?: string, dominantColor?: string, preview?: string}>}
+ */
+export async function placeholdersFromPixels(pixels, { width, height }, options = {}) {
+  const { kinds = PLACEHOLDER_KINDS, components = [4, 3], previewSize = 16 } = options;
+
+  const unknown = kinds.filter((kind) => !PLACEHOLDER_KINDS.includes(kind));
+  if (unknown.length) {
+    throw new InvalidOptionError(
+      `Unsupported placeholder: ${unknown.join(", ")}. Supported: ${PLACEHOLDER_KINDS.join(", ")}`
+    );
+  }
+
+  const raw = { width, height, channels: 4 };
+  let sample = { data: pixels, info: raw };
+  if (width > SAMPLE_SIZE || height > SAMPLE_SIZE) {
+    sample = await sharp(pixels, { raw })
+      .resize({ width: SAMPLE_SIZE, height: SAMPLE_SIZE, fit: "inside" })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  }
+  const { data, info } = sample;
+
+  const placeholders = {};
+  if (kinds.includes("blurhash")) {
+    placeholders.blurhash = encodeBlurHash(data, info.width, info.height, ...components);
+  }
+  if (kinds.includes("thumbhash")) {
+    placeholders.thumbhash = Buffer.from(
+      encodeThumbHash(data, info.width, info.height)
+    ).toString("base64");
+  }
+  if (kinds.includes("dominantColor")) {
+    placeholders.dominantColor = dominantColor(data, info.width, info.height);
+  }
+  if (kinds.includes("preview")) {
+    const preview = await sharp(data, { raw: { ...raw, width: info.width, height: info.height } })
+      .resize({ width: previewSize, height: previewSize, fit: "inside" })
+      .webp({ quality: 50, alphaQuality: 50 })
+      .toBuffer();
+    placeholders.preview = `data:image/webp;base64,${preview.toString("base64")}`;
+  }
+
+  return placeholders;
+}
+
+/**
+ * Encodes RGBA pixels as a BlurHash string (https://blurha.sh)
+ * @param {Buffer} pixels - Raw RGBA pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} [componentsX=4] - Horizontal components (1-9)
+ * @param {number} [componentsY=3] - Vertical components (1-9)
+ * @returns {string}
+ */
+export function encodeBlurHash(pixels, width, height, componentsX = 4, componentsY = 3) {
+  if (componentsX < 1 || componentsX > 9 || componentsY < 1 || componentsY > 9) {
+    throw new Error("BlurHash components must be between 1 and 9");
+  }
+
+  const linear = new Float64Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    for (let c = 0; c < 3; c++) {
+      linear[i * 3 + c] = sRGBToLinear(pixels[i * 4 + c]);
+    }
+  }
+
+  const factors = [];
+  for (let j = 0; j < componentsY; j++) {
+    for (let i = 0; i < componentsX; i++) {
+      const normalisation = i === 0 && j === 0 ? 1 : 2;
+      const factor = [0, 0, 0];
+
+      for (let y = 0; y < height; y++) {
+        const basisY = Math.cos((Math.PI * j * y) / height);
+        for (let x = 0; x < width; x++) {
+          const basis = normalisation * Math.cos((Math.PI * i * x) / width) * basisY;
+          const offset = (y * width + x) * 3;
+          factor[0] += basis * linear[offset];
+          factor[1] += basis * linear[offset + 1];
+          factor[2] += basis * linear[offset + 2];
+        }
+      }
+
+      const scale = 1 / (width * height);
+      factors.push(factor.map((value) => value * scale));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83(componentsX - 1 + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(
+      0,
+      Math.min(82, Math.floor(actualMaximum * 166 - 0.5))
+    );
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83(
+    (linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]),
+    4
+  );
+
+  for (const factor of ac) {
+    const [r, g, b] = factor.map((value) =>
+      Math.max(
+        0,
+        Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5))
+      )
+    );
+    hash += encode83(r * 19 * 19 + g * 19 + b, 2);
+  }
+
+  return hash;
+}
+
+/**
+ * Encodes RGBA pixels as a ThumbHash (https://evanw.github.io/thumbhash/)
+ * @param {Buffer} pixels - Raw RGBA pixels
+ * @param {number} width - Width in pixels (at most 100)
+ * @param {number} height - Height in pixels (at most 100)
+ * @returns {Uint8Array} Hash bytes
+ */
+export function encodeThumbHash(pixels, width, height) {
+  if (width > SAMPLE_SIZE || height > SAMPLE_SIZE) {
+    throw new Error(`ThumbHash input must be at most ${SAMPLE_SIZE}×${SAMPLE_SIZE}`);
+  }
+  const count = width * height;
+
+  // Average colour, weighted by alpha
+  let averageR = 0;
+  let averageG = 0;
+  let averageB = 0;
+  let averageA = 0;
+  for (let i = 0; i < count; i++) {
+    const alpha = pixels[i * 4 + 3] / 255;
+    averageR += (alpha / 255) * pixels[i * 4];
+    averageG += (alpha / 255) * pixels[i * 4 + 1];
+    averageB += (alpha / 255) * pixels[i * 4 + 2];
+    averageA += alpha;
+  }
+  if (averageA) {
+    averageR /= averageA;
+    averageG /= averageA;
+    averageB /= averageA;
+  }
+
+  const hasAlpha = averageA < count;
+  const limit = hasAlpha ? 5 : 7; // Fewer luminance bits when alpha needs room
+  const lx = Math.max(1, Math.round((limit * width) / Math.max(width, height)));
+  const ly = Math.max(1, Math.round((limit * height) / Math.max(width, height)));
+
+  // RGBA to luminance, yellow-blue, red-green and alpha, over the average colour
+  const l = new Float64Array(count);
+  const p = new Float64Array(count);
+  const q = new Float64Array(count);
+  const a = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    const alpha = pixels[i * 4 + 3] / 255;
+    const r = averageR * (1 - alpha) + (alpha / 255) * pixels[i * 4];
+    const g = averageG * (1 - alpha) + (alpha / 255) * pixels[i * 4 + 1];
+    const b = averageB * (1 - alpha) + (alpha / 255) * pixels[i * 4 + 2];
+    l[i] = (r + g + b) / 3;
+    p[i] = (r + g) / 2 - b;
+    q[i] = r - g;
+    a[i] = alpha;
+  }
+
+  // DCT into a constant term and normalized varying terms
+  const encodeChannel = (channel, nx, ny) => {
+    let dc = 0;
+    let scale = 0;
+    const ac = [];
+    const fx = new Float64Array(width);
+
+    for (let cy = 0; cy < ny; cy++) {
+      for (let cx = 0; cx * ny < nx * (ny - cy); cx++) {
+        let f = 0;
+        for (let x = 0; x < width; x++) {
+          fx[x] = Math.cos((Math.PI / width) * cx * (x + 0.5));
+        }
+        for (let y = 0; y < height; y++) {
+          const fy = Math.cos((Math.PI / height) * cy * (y + 0.5));
+          for (let x = 0; x < width; x++) {
+            f += channel[x + y * width] * fx[x] * fy;
+          }
+        }
+        f /= count;
+
+        if (cx || cy) {
+          ac.push(f);
+          scale = Math.max(scale, Math.abs(f));
+        } else {
+          dc = f;
+        }
+      }
+    }
+
+    if (scale) {
+      for (let i = 0; i < ac.length; i++) ac[i] = 0.5 + (0.5 / scale) * ac[i];
+    }
+    return [dc, ac, scale];
+  };
+
+  const [lDc, lAc, lScale] = encodeChannel(l, Math.max(3, lx), Math.max(3, ly));
+  const [pDc, pAc, pScale] = encodeChannel(p, 3, 3);
+  const [qDc, qAc, qScale] = encodeChannel(q, 3, 3);
+  const [aDc, aAc, aScale] = hasAlpha ? encodeChannel(a, 5, 5) : [];
+
+  const isLandscape = width > height;
+  const header24 =
+    Math.round(63 * lDc) |
+    (Math.round(31.5 + 31.5 * pDc) << 6) |
+    (Math.round(31.5 + 31.5 * qDc) << 12) |
+    (Math.round(31 * lScale) << 18) |
+    (hasAlpha << 23);
+  const header16 =
+    (isLandscape ? ly : lx) |
+    (Math.round(63 * pScale) << 3) |
+    (Math.round(63 * qScale) << 9) |
+    (isLandscape << 15);
+
+  const hash = [
+    header24 & 255,
+    (header24 >> 8) & 255,
+    header24 >> 16,
+    header16 & 255,
+    header16 >> 8,
+  ];
+  if (hasAlpha) hash.push(Math.round(15 * aDc) | (Math.round(15 * aScale) << 4));
+
+  // Two 4-bit factors per byte
+  const acStart = hash.length;
+  let acIndex = 0;
+  for (const ac of hasAlpha ? [lAc, pAc, qAc, aAc] : [lAc, pAc, qAc]) {
+    for (const f of ac) {
+      const index = acStart + (acIndex >> 1);
+      hash[index] = (hash[index] ?? 0) | (Math.round(15 * f) << ((acIndex & 1) << 2));
+      acIndex++;
+    }
+  }
+
+  return new Uint8Array(hash);
+}
+
+/**
+ * Finds the most common colour, grouping similar colours and ignoring
+ * mostly transparent pixels
+ * @param {Buffer} pixels - Raw RGBA pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} Hex colour, e.g. "#3a6ea5"
+ */
+export function dominantColor(pixels, width, height) {
+  // 4 bits per channel: 4096 buckets holding a count and RGB sums
+  const buckets = new Float64Array(4096 * 4);
+
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * 4;
+    if (pixels[offset + 3] < 128) continue;
+
+    const [r, g, b] = [pixels[offset], pixels[offset + 1], pixels[offset + 2]];
+    const bucket = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    buckets[bucket * 4] += 1;
+    buckets[bucket * 4 + 1] += r;
+    buckets[bucket * 4 + 2] += g;
+    buckets[bucket * 4 + 3] += b;
+  }
+
+  let best = -1;
+  for (let bucket = 0; bucket < 4096; bucket++) {
+    if (buckets[bucket * 4] && (best < 0 || buckets[bucket * 4] > buckets[best * 4])) {
+      best = bucket;
+    }
+  }
+  // Fully transparent images have no colour of their own
+  if (best < 0) return "#000000";
+
+  const count = buckets[best * 4];
+  return `#${[1, 2, 3]
+    .map((channel) =>
+      Math.round(buckets[best * 4 + channel] / count)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+}
+
+/**
+ * @param {number} value - sRGB channel value (0-255)
+ * @returns {number} Linear value (0-1)
+ */
+function sRGBToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * @param {number} value - Linear value (0-1)
+ * @returns {number} sRGB channel value (0-255)
+ */
+function linearToSRGB(value) {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+/**
+ * @param {number} value - Base
+ * @param {number} exponent - Exponent
+ * @returns {number} |value|^exponent with the sign of value
+ */
+function signPow(value, exponent) {
+  return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+/**
+ * @param {number} value - Integer to encode
+ * @param {number} length - Number of base 83 digits
+ * @returns {string}
+ */
+function encode83(value, length) {
+  let result = "";
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+    result += BASE83[digit];
+  }
+  return result;
+}
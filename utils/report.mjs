@@ -0,0 +1,244 @@
+// report.mjs
+import fs from "fs/promises";
+import path from "path";
+import { InvalidOptionError } from "./errors.mjs";
+
+export const REPORT_FORMATS = ["json", "csv", "html"];
+
+// Row fields, in column order
+const COLUMNS = [
+  ["input", "Input"],
+  ["output", "Output"],
+  ["status", "Status"],
+  ["inputFormat", "Input format"],
+  ["outputFormat", "Output format"],
+  ["width", "Width"],
+  ["height", "Height"],
+  ["inputSize", "Input size"],
+  ["outputSize", "Output size"],
+  ["savedSize", "Saved"],
+  ["savingPercent", "Saving %"],
+  ["durationMs", "Duration (ms)"],
+  ["error", "Error"],
+];
+
+/**
+ * Writes a per-file batch report. The format follows the file extension.
+ * @param {string} reportPath - Report file path ending in .json, .csv or .html
+ * @param {Object[]} rows - One entry per file, see COLUMNS
+ * @returns {Promise<string>} Absolute path of the written report
+ */
+export async function writeReport(reportPath, rows) {
+  const format = path.extname(reportPath).slice(1).toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new InvalidOptionError(
+      `Unsupported report format: ${path.extname(reportPath) || reportPath}. Use ${REPORT_FORMATS.map(
+        (extension) => `.${extension}`
+      ).join(", ")}`
+    );
+  }
+
+  const content =
+    format === "json"
+      ? formatJson(rows)
+      : format === "csv"
+      ? formatCsv(rows)
+      : formatHtml(rows);
+
+  const absolutePath = path.resolve(reportPath);
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, content);
+  return absolutePath;
+}
+
+/**
+ * Sums a batch
+ * @param {Object[]} rows - Report rows
+ * @returns {{files: number, improved: number, unimproved: number, original: number, skipped: number, unchanged: number, failed: number, inputSize: number, outputSize: number, savedSize: number, savingPercent: number, durationMs: number}}
+ */
+export function summarizeReport(rows) {
+  const totals = {
+    files: rows.length,
+    improved: 0,
+    unimproved: 0,
+    original: 0,
+    skipped: 0,
+    unchanged: 0,
+    failed: 0,
+    inputSize: 0,
+    outputSize: 0,
+    savedSize: 0,
+    savingPercent: 0,
+    durationMs: 0,
+  };
+
+  for (const row of rows) {
+    totals[row.status] = (totals[row.status] ?? 0) + 1;
+    totals.durationMs += row.durationMs ?? 0;
+    // Failed and skipped files wrote nothing to compare
+    if (row.status === "failed" || row.status === "skipped") continue;
+    totals.inputSize += row.inputSize ?? 0;
+    totals.outputSize += row.outputSize ?? 0;
+  }
+
+  totals.savedSize = totals.inputSize - totals.outputSize;
+  totals.savingPercent = totals.inputSize
+    ? Number(((totals.savedSize / totals.inputSize) * 100).toFixed(1))
+    : 0;
+  return totals;
+}
+
+/**
+ * @param {Object[]} rows - Report rows
+ * @returns {string}
+ */
+function formatJson(rows) {
+  return `${JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      totals: summarizeReport(rows),
+      files: rows,
+    },
+    null,
+    2
+  )}\n`;
+}
+
+/**
+ * @param {Object[]} rows - Report rows
+ * @returns {string} RFC 4180 CSV with a header line
+ */
+function formatCsv(rows) {
+  const cell = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    COLUMNS.map(([, label]) => cell(label)).join(","),
+    ...rows.map((row) => COLUMNS.map(([key]) => cell(row[key])).join(",")),
+  ]
+    .map((line) => `${line}\r\n`)
+    .join("");
+}
+
+/**
+ * @param {Object[]} rows - Report rows
+ * @returns {string} Standalone page with totals and a table sortable by any column
+ */
+function formatHtml(rows) {
+  const escape = (value) =>
+    String(value ?? "").replace(
+      /[&<>"']/g,
+      (char) =>
+        ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+          char
+        ])
+    );
+  const totals = summarizeReport(rows);
+
+  const summary = [
+    ["Files", totals.files],
+    ["Improved", totals.improved],
+    ["Not improved", totals.unimproved],
+    ["Original kept", totals.original],
+    ["Skipped", totals.skipped],
+    ["Unchanged", totals.unchanged],
+    ["Failed", totals.failed],
+    ["Input size", formatBytes(totals.inputSize)],
+    ["Output size", formatBytes(totals.outputSize)],
+    ["Saved", `${formatBytes(totals.savedSize)} (${totals.savingPercent}%)`],
+    ["Duration", `${(totals.durationMs / 1000).toFixed(2)}s`],
+  ]
+    .map(([label, value]) => `<div><dt>${label}</dt><dd>${escape(value)}</dd></div>`)
+    .join("\n      ");
+
+  const header = COLUMNS.map(
+    ([key, label]) => `<th data-key="${key}">${escape(label)}</th>`
+  ).join("");
+
+  const body = rows
+    .map((row) => {
+      const cells = COLUMNS.map(([key]) => {
+        const value = row[key];
+        const shown =
+          typeof value === "number" && key.endsWith("Size")
+            ? formatBytes(value)
+            : value;
+        // Sorting uses the raw value, display the formatted one
+        return `<td data-value="${escape(value)}">${escape(shown)}</td>`;
+      }).join("");
+      return `<tr class="${escape(row.status)}">${cells}</tr>`;
+    })
+    .join("\n        ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Crushify report</title>
+  <style>
+    body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #222; }
+    dl { display: flex; flex-wrap: wrap; gap: 1.5rem; margin: 0 0 1.5rem; }
+    dt { font-size: 12px; color: #666; }
+    dd { margin: 0; font-size: 18px; font-weight: 600; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; white-space: nowrap; }
+    th { cursor: pointer; user-select: none; background: #f5f5f5; }
+    th[aria-sort="ascending"]::after { content: " \\25B2"; }
+    th[aria-sort="descending"]::after { content: " \\25BC"; }
+    tr.failed td { color: #b00020; }
+    tr.unimproved td { color: #a15c00; }
+    tr.original td, tr.skipped td, tr.unchanged td { color: #888; }
+  </style>
+</head>
+<body>
+  <h1>Crushify report</h1>
+  <p>Generated ${escape(new Date().toISOString())}</p>
+  <dl>
+      ${summary}
+  </dl>
+  <table>
+    <thead><tr>${header}</tr></thead>
+    <tbody>
+        ${body}
+    </tbody>
+  </table>
+  <script>
+    document.querySelectorAll("th").forEach((th, column) => {
+      th.addEventListener("click", () => {
+        const descending = th.getAttribute("aria-sort") !== "descending";
+        document.querySelectorAll("th").forEach((other) => other.removeAttribute("aria-sort"));
+        th.setAttribute("aria-sort", descending ? "descending" : "ascending");
+
+        const tbody = document.querySelector("tbody");
+        const value = (row) => row.children[column].dataset.value;
+        const rows = [...tbody.rows].sort((a, b) => {
+          const [x, y] = [value(a), value(b)];
+          const numeric = x !== "" && y !== "" && !isNaN(x) && !isNaN(y);
+          const order = numeric ? x - y : x.localeCompare(y);
+          return descending ? -order : order;
+        });
+        tbody.append(...rows);
+      });
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = Math.abs(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${bytes < 0 ? "-" : ""}${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
@@ -0,0 +1,16 @@
+// server.mjs
+import http from "http";
+import { createMiddleware } from "./middleware.mjs";
+
+/**
+ * Creates an HTTP server that serves optimized variants of the images below
+ * a source root, e.g. GET /img/photos/a.jpg?w=800&format=webp&q=75
+ * @param {Object} options - Server options, see createMiddleware()
+ * @param {string} options.root - Folder the images are served from
+ * @returns {http.Server}
+ */
+export function createServer(options) {
+  const middleware = createMiddleware(options);
+
+  return http.createServer((req, res) => middleware(req, res));
+}
@@ -0,0 +1,66 @@
+// ssim.mjs
+
+const WINDOW = 8;
+const STEP = 4;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Mean structural similarity (SSIM) between two images of equal size.
+ * Computed on the first channel using overlapping 8×8 windows.
+ * @param {Buffer} reference - Raw pixels of the reference image
+ * @param {Buffer} candidate - Raw pixels of the image to compare
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} [channels=1] - Interleaved channels per pixel
+ * @returns {number} Score between -1 and 1 (1 means identical)
+ */
+export function ssim(reference, candidate, width, height, channels = 1) {
+  if (reference.length !== candidate.length) {
+    throw new Error("SSIM requires images with the same dimensions");
+  }
+
+  // Images smaller than one window are compared as a single window
+  const windowWidth = Math.min(WINDOW, width);
+  const windowHeight = Math.min(WINDOW, height);
+  const count = windowWidth * windowHeight;
+
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top + windowHeight <= height; top += STEP) {
+    for (let left = 0; left + windowWidth <= width; left += STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let y = top; y < top + windowHeight; y++) {
+        let offset = (y * width + left) * channels;
+        for (let x = 0; x < windowWidth; x++, offset += channels) {
+          const a = reference[offset];
+          const b = candidate[offset];
+          sumA += a;
+          sumB += b;
+          sumAA += a * a;
+          sumBB += b * b;
+          sumAB += a * b;
+        }
+      }
+
+      const meanA = sumA / count;
+      const meanB = sumB / count;
+      const varA = sumAA / count - meanA * meanA;
+      const varB = sumBB / count - meanB * meanB;
+      const covariance = sumAB / count - meanA * meanB;
+
+      total +=
+        ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+}